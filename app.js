@@ -1,3 +1,85 @@
+// Project documents (auto-saved state and .json project files) share one schema.
+// Bump PROJECT_SCHEMA_VERSION when it changes and add a migration from the previous version.
+const PROJECT_FILE_FORMAT = 'shader-playground-project';
+const PROJECT_SCHEMA_VERSION = 6;
+// Clipboard contents use the project schema for their nodes and edges
+const CLIPBOARD_FORMAT = 'shader-playground-nodes';
+// Group asset files hold one serialized group node, reusable across projects
+const GROUP_ASSET_FORMAT = 'shader-playground-group';
+
+// Per-project step scheduling: graph evaluations per loop tick, and an optional cap on
+// evaluations per second (0 = as fast as possible). Each project also has a `masterSeed`
+// (uint32) that all randomness derives from; new projects pick one at random.
+const DEFAULT_SIMULATION_SETTINGS = { stepsPerFrame: 1, targetStepsPerSecond: 0 };
+
+// User preferences, kept in localStorage apart from the project
+const PREFERENCES_STORAGE_KEY = 'shaderPlaygroundPreferences';
+// drawingTool: tool is brush, eraser, line, rect or fill; shape is round or square; channels
+// says which channels painting writes; symmetry is none, x, y or xy (mirror axes).
+// inspector: enabled shows texel values when hovering previews; magnifier adds the neighborhood
+// grid of one channel (an index into r, g, b, a).
+const DEFAULT_PREFERENCES = {
+    pauseWhileArranging: false,
+    drawingTool: { tool: 'brush', shape: 'round', size: 3, channels: [true, true, true, true], symmetry: 'none' },
+    inspector: { enabled: true, magnifier: false, channel: 0 }
+};
+
+// Undo memory for each texture buffer's paint strokes; the oldest strokes are forgotten beyond it
+const STROKE_HISTORY_BYTES_PER_BUFFER = 32 * 1024 * 1024;
+
+// Memory a frame recording may hold before encoding; each frame is kept as 8-bit RGBA
+const FRAME_RECORDER_MAX_BYTES = 1024 * 1024 * 1024;
+
+// PROJECT_MIGRATIONS[n] upgrades a version n document to version n + 1
+const PROJECT_MIGRATIONS = {
+    // 1 -> 2: unversioned localStorage state; adds texture formats, shader parameters and the view
+    1: (state) => {
+        state.format = PROJECT_FILE_FORMAT;
+        state.nodes = (state.nodes || []).map(nodeData => {
+            if (nodeData.type === 'texture-buffer') {
+                nodeData.format = nodeData.format || 'RGBA8';
+            } else if (nodeData.type === 'shader') {
+                nodeData.uniformValues = nodeData.uniformValues || {};
+            }
+            return nodeData;
+        });
+        state.edges = state.edges || [];
+        state.view = state.view || { zoom: 1.0 };
+        state.version = 2;
+        return state;
+    },
+    // 2 -> 3: texture buffers can keep their contents
+    2: (state) => {
+        state.nodes.forEach(nodeData => {
+            if (nodeData.type === 'texture-buffer') {
+                delete nodeData.textureData;
+                nodeData.keepContents = true;
+            }
+        });
+        state.version = 3;
+        return state;
+    },
+    // 3 -> 4: group nodes; earlier documents have none
+    3: (state) => {
+        state.version = 4;
+        return state;
+    },
+    // 4 -> 5: simulation step scheduling; one step per frame, unthrottled, as before
+    4: (state) => {
+        state.simulation = { ...DEFAULT_SIMULATION_SETTINGS };
+        state.version = 5;
+        return state;
+    },
+    // 5 -> 6: master seed for reproducible randomness; older projects get a new one
+    5: (state) => {
+        if (state.simulation) {
+            state.simulation.masterSeed = SeededRandom.randomSeed();
+        }
+        state.version = 6;
+        return state;
+    }
+};
+
 class App {
     constructor() {
         this.previewOverlay = document.getElementById('preview-overlay');
@@ -7,11 +89,13 @@ class App {
         this.graph = new Graph();
         
         this.nodes = [];
-        this.selectedNode = null;
+        this.selectedNodes = new Set(); // Highlighted nodes; drag, delete, copy and duplicate act on all of them
         this.connectingFrom = null;
         this.connectingFromPort = null;
         this.dragging = false;
-        this.dragOffset = { x: 0, y: 0 };
+        this.dragNodes = []; // { node, offsetX, offsetY, startX, startY } for each node being dragged
+        this.selectionBox = null; // Rubber-band selection in progress: { startX, startY, additive, element }
+        this.spaceHeld = false; // Space + left drag pans
         this.connectionLine = null;
         this.panning = false;
         this.panStart = { x: 0, y: 0 };
@@ -23,13 +107,33 @@ class App {
         this.nodeIdCounter = 0;
         this.textureBufferCounter = 0;
         this.shaderCounter = 0;
+        this.groupCounter = 0;
         this.iteration = 0;
+        this.runTarget = null; // Iteration at which Run N / Run Until pauses again
         this.paused = false;
         this.paletteNode = null;
         this.time = 0; // Time in seconds since app start
-        this.seed = Math.random(); // Random seed shared by all shaders
+        this.seed = 0; // Seed shared by all shaders, derived from (masterSeed, iteration)
+        this.dt = 0; // Seconds between the last two graph evaluations
+        this.lastEvaluationTime = null;
+        this.mouse = { x: 0, y: 0, buttons: 0 }; // Pointer over the mouse input buffer's preview
+        this.mouseSourceNode = null; // Texture buffer whose preview provides the `mouse` uniforms
+        this.textureStore = new TextureStore();
+        this.restoringContents = false; // Evaluation waits until saved texture contents are uploaded
+        this.history = new CommandHistory(); // Undo/redo of graph and buffer edits
+        this.pointer = { x: 0, y: 0 }; // Last pointer position in node coordinates, where pastes land
         this.connectionsNeedUpdate = true; // Track if connections need visual update
-        this.evaluationSpeedLimit = 0; // 0 = unlimited, >0 = minimum ms between evaluations
+        this.simulation = { ...DEFAULT_SIMULATION_SETTINGS, masterSeed: SeededRandom.randomSeed() };
+        this.preferences = this.loadPreferences();
+        this.random = new SeededRandom(this.simulation.masterSeed); // For editing actions such as randomize; reseeded with the master seed
+        this.recording = null; // Run being recorded: { snapshot, startIteration, masterSeed, log }
+        this.replay = null; // Last finished recording, with endIteration
+        this.replaying = false;
+        this.stamp = null; // Pattern being stamped, see startStamp
+        this.frameRecorders = new Map(); // Texture buffer id -> { recorder, panel, status, progress } while capturing frames
+        this.inspector = new PixelInspector(this); // Hover readout, magnifier and probes on previews
+        this.stepBudget = 0; // Steps accrued towards the target rate but not yet run
+        this.lastScheduleTime = null;
         this.lastPreviewUpdate = 0;
         this.previewUpdateInterval = 1000 / 60; // 60 FPS for previews (16.67ms)
         
@@ -74,23 +178,34 @@ class App {
         // Stop dragging/panning if mouse leaves window
         window.addEventListener('mouseleave', (e) => {
             if (this.dragging) {
-                this.dragging = false;
-                if (this.selectedNode) {
-                    this.selectedNode.particle.vx = 0;
-                    this.selectedNode.particle.vy = 0;
-                }
+                this.endDrag();
             }
             if (this.panning) {
                 this.panning = false;
                 document.getElementById('app').style.cursor = '';
             }
+            if (this.selectionBox) {
+                this.endSelectionBox(e);
+            }
         });
         
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => this.onKeyDown(e));
+        document.addEventListener('keyup', (e) => {
+            if (e.key === ' ') {
+                this.spaceHeld = false;
+            }
+        });
+        window.addEventListener('blur', () => {
+            this.spaceHeld = false;
+        });
+        document.addEventListener('copy', (e) => this.onCopy(e));
+        document.addEventListener('paste', (e) => this.onPaste(e));
         
         // Create pause/play button
         this.createPauseButton();
+        this.createTransportBar();
+        this.createDrawingToolbar();
         
         // Physics and render loop
         this.animate();
@@ -116,7 +231,7 @@ class App {
         // Create evaluation FPS display
         const fpsDisplay = document.createElement('div');
         fpsDisplay.id = 'evaluation-fps';
-        fpsDisplay.textContent = 'Eval: 0 FPS';
+        fpsDisplay.textContent = 'Eval: 0 steps/s';
         fpsDisplay.style.padding = '10px 15px';
         fpsDisplay.style.background = '#1a1a1a';
         fpsDisplay.style.border = '1px solid #444';
@@ -150,14 +265,99 @@ class App {
             this.togglePause();
         });
         
+        // Project file buttons, styled to match the pause button
+        const createToolbarButton = (label, title, onClick) => {
+            const toolbarButton = document.createElement('button');
+            toolbarButton.textContent = label;
+            toolbarButton.title = title;
+            toolbarButton.style.padding = '10px 15px';
+            toolbarButton.style.background = '#2a2a2a';
+            toolbarButton.style.border = '1px solid #555';
+            toolbarButton.style.borderRadius = '4px';
+            toolbarButton.style.color = '#e0e0e0';
+            toolbarButton.style.cursor = 'pointer';
+            toolbarButton.style.fontSize = '14px';
+            toolbarButton.style.fontFamily = 'inherit';
+            toolbarButton.addEventListener('mouseenter', () => {
+                toolbarButton.style.background = '#3a3a3a';
+            });
+            toolbarButton.addEventListener('mouseleave', () => {
+                toolbarButton.style.background = '#2a2a2a';
+            });
+            toolbarButton.addEventListener('click', onClick);
+            return toolbarButton;
+        };
+        // Step scheduling inputs, applied when they change
+        const createNumberInput = (label, title, min, onChange) => {
+            const wrapper = document.createElement('label');
+            wrapper.title = title;
+            wrapper.style.display = 'flex';
+            wrapper.style.alignItems = 'center';
+            wrapper.style.gap = '6px';
+            wrapper.style.color = '#aaa';
+            wrapper.style.fontSize = '12px';
+            wrapper.textContent = label;
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = String(min);
+            input.style.width = '60px';
+            input.style.padding = '8px 6px';
+            input.style.background = '#1a1a1a';
+            input.style.border = '1px solid #444';
+            input.style.borderRadius = '4px';
+            input.style.color = '#e0e0e0';
+            input.style.fontFamily = 'monospace';
+            input.addEventListener('change', () => onChange(Number(input.value)));
+            wrapper.appendChild(input);
+            return { wrapper, input };
+        };
+        const stepsControl = createNumberInput('Steps/frame', 'Graph evaluations per frame', 1, (value) => {
+            this.updateSimulationSettings({ stepsPerFrame: value });
+        });
+        const rateControl = createNumberInput('Target/s', 'Target steps per second (0 = as fast as possible)', 0, (value) => {
+            this.updateSimulationSettings({ targetStepsPerSecond: value });
+        });
+        this.simulationInputs = { stepsPerFrame: stepsControl.input, targetStepsPerSecond: rateControl.input };
+        this.setSimulationSettings(this.simulation);
+        
+        const arrangeToggle = document.createElement('label');
+        arrangeToggle.title = 'Hold evaluation while nodes are being dragged or are still moving';
+        arrangeToggle.style.display = 'flex';
+        arrangeToggle.style.alignItems = 'center';
+        arrangeToggle.style.gap = '4px';
+        arrangeToggle.style.color = '#aaa';
+        arrangeToggle.style.fontSize = '12px';
+        const arrangeCheckbox = document.createElement('input');
+        arrangeCheckbox.type = 'checkbox';
+        arrangeCheckbox.checked = this.preferences.pauseWhileArranging;
+        arrangeCheckbox.addEventListener('change', () => {
+            this.setPreference('pauseWhileArranging', arrangeCheckbox.checked);
+        });
+        arrangeToggle.appendChild(arrangeCheckbox);
+        arrangeToggle.appendChild(document.createTextNode('Pause while arranging'));
+        
+        const saveButton = createToolbarButton('Save', 'Save project to a .json file (Ctrl+S)', () => this.saveProject());
+        const openButton = createToolbarButton('Open', 'Open a project .json file (Ctrl+O)', () => this.openProjectPicker());
+        
         container.appendChild(fpsDisplay);
+        container.appendChild(stepsControl.wrapper);
+        container.appendChild(rateControl.wrapper);
+        container.appendChild(arrangeToggle);
+        container.appendChild(saveButton);
+        container.appendChild(openButton);
         container.appendChild(button);
         document.body.appendChild(container);
         this.pauseButton = button;
     }
 
     togglePause() {
-        this.paused = !this.paused;
+        this.setPaused(!this.paused);
+    }
+
+    // Pausing or playing by hand also cancels a Run N / Run Until in progress
+    setPaused(paused, runTarget = null) {
+        this.paused = paused;
+        this.runTarget = runTarget;
         if (this.paused) {
             this.pauseButton.textContent = '▶ Play';
         } else {
@@ -165,6 +365,430 @@ class App {
         }
     }
 
+    // Step, run and reset controls with the current iteration, for going through a simulation
+    // frame by frame
+    createTransportBar() {
+        const bar = document.createElement('div');
+        bar.style.position = 'fixed';
+        bar.style.top = '20px';
+        bar.style.left = '20px';
+        bar.style.zIndex = '1000';
+        bar.style.display = 'flex';
+        bar.style.gap = '6px';
+        bar.style.alignItems = 'center';
+        bar.style.padding = '6px';
+        bar.style.background = '#1a1a1a';
+        bar.style.border = '1px solid #444';
+        bar.style.borderRadius = '4px';
+        
+        const createButton = (label, title, onClick) => {
+            const button = document.createElement('button');
+            button.textContent = label;
+            button.title = title;
+            button.style.padding = '6px 10px';
+            button.style.background = '#2a2a2a';
+            button.style.border = '1px solid #555';
+            button.style.borderRadius = '4px';
+            button.style.color = '#e0e0e0';
+            button.style.cursor = 'pointer';
+            button.style.fontSize = '13px';
+            button.style.fontFamily = 'inherit';
+            button.addEventListener('mouseenter', () => {
+                button.style.background = '#3a3a3a';
+            });
+            button.addEventListener('mouseleave', () => {
+                button.style.background = '#2a2a2a';
+            });
+            button.addEventListener('click', onClick);
+            return button;
+        };
+        const createInput = (value, title) => {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = '0';
+            input.value = String(value);
+            input.title = title;
+            input.style.width = '64px';
+            input.style.padding = '6px';
+            input.style.background = '#0f0f0f';
+            input.style.border = '1px solid #444';
+            input.style.borderRadius = '4px';
+            input.style.color = '#e0e0e0';
+            input.style.fontFamily = 'monospace';
+            return input;
+        };
+        const readCount = (input) => {
+            const value = Number(input.value);
+            if (!Number.isInteger(value) || value < 0) {
+                this.showNotification('Enter a whole number of iterations', 'error');
+                return null;
+            }
+            return value;
+        };
+        
+        const runCountInput = createInput(100, 'Iterations to run');
+        const untilInput = createInput(1000, 'Iteration to stop at');
+        const iterationDisplay = document.createElement('div');
+        iterationDisplay.style.minWidth = '110px';
+        iterationDisplay.style.padding = '0 6px';
+        iterationDisplay.style.color = '#aaa';
+        iterationDisplay.style.fontSize = '12px';
+        iterationDisplay.style.fontFamily = 'monospace';
+        this.iterationDisplay = iterationDisplay;
+        
+        bar.appendChild(createButton('⟲ Reset', 'Restore buffers to their saved contents and go back to iteration 0', () => this.resetSimulation()));
+        bar.appendChild(createButton('Step', 'Pause and run one iteration', () => this.stepOnce()));
+        bar.appendChild(runCountInput);
+        bar.appendChild(createButton('Run N', 'Run this many iterations, then pause', () => {
+            const count = readCount(runCountInput);
+            if (count !== null) {
+                this.runUntil(this.iteration + count);
+            }
+        }));
+        bar.appendChild(untilInput);
+        bar.appendChild(createButton('Run Until', 'Run until this iteration, then pause', () => {
+            const target = readCount(untilInput);
+            if (target !== null) {
+                this.runUntil(target);
+            }
+        }));
+        bar.appendChild(iterationDisplay);
+        
+        const seedInput = createInput(this.simulation.masterSeed, 'Master seed: every iteration\'s `seed` derives from it and the iteration');
+        seedInput.style.width = '100px';
+        seedInput.addEventListener('change', () => this.updateSimulationSettings({ masterSeed: Number(seedInput.value) }));
+        this.seedInput = seedInput;
+        bar.appendChild(seedInput);
+        bar.appendChild(createButton('🎲', 'Pick a new master seed', () => {
+            this.updateSimulationSettings({ masterSeed: SeededRandom.randomSeed() });
+        }));
+        
+        this.recordButton = createButton('● Record', 'Record a run from here so it can be replayed exactly', () => {
+            if (this.recording) {
+                this.finishRecording();
+            } else {
+                this.startRecording();
+            }
+        });
+        this.replayButton = createButton('↻ Replay', 'Restore the recording\'s starting state and rerun it with the same time, seeds and mouse input', () => this.startReplay());
+        bar.appendChild(this.recordButton);
+        bar.appendChild(this.replayButton);
+        
+        document.body.appendChild(bar);
+        this.updateIterationDisplay();
+        this.updateReplayButtons();
+    }
+
+    // Drawing tools for texture buffers, below the transport bar. Settings are preferences.
+    createDrawingToolbar() {
+        const bar = document.createElement('div');
+        bar.style.position = 'fixed';
+        bar.style.top = '70px';
+        bar.style.left = '20px';
+        bar.style.zIndex = '1000';
+        bar.style.display = 'flex';
+        bar.style.gap = '6px';
+        bar.style.alignItems = 'center';
+        bar.style.padding = '6px';
+        bar.style.background = '#1a1a1a';
+        bar.style.border = '1px solid #444';
+        bar.style.borderRadius = '4px';
+        bar.style.color = '#e0e0e0';
+        bar.style.fontSize = '12px';
+
+        const update = (changes) => {
+            this.setPreference('drawingTool', { ...this.preferences.drawingTool, ...changes });
+            this.updateDrawingToolbar();
+        };
+        const styleControl = (control) => {
+            control.style.padding = '5px';
+            control.style.background = '#0f0f0f';
+            control.style.border = '1px solid #444';
+            control.style.borderRadius = '4px';
+            control.style.color = '#e0e0e0';
+            return control;
+        };
+
+        this.drawingToolButtons = new Map();
+        const tools = [
+            ['brush', 'Brush', 'Paint with the palette color'],
+            ['eraser', 'Eraser', 'Paint zeros'],
+            ['line', 'Line', 'Drag a straight line'],
+            ['rect', 'Rect', 'Drag a filled rectangle'],
+            ['fill', 'Fill', 'Flood fill the touching texels of the same value']
+        ];
+        tools.forEach(([tool, label, title]) => {
+            const button = document.createElement('button');
+            button.textContent = label;
+            button.title = title;
+            button.style.padding = '6px 10px';
+            button.style.border = '1px solid #555';
+            button.style.borderRadius = '4px';
+            button.style.color = '#e0e0e0';
+            button.style.cursor = 'pointer';
+            button.style.fontSize = '13px';
+            button.style.fontFamily = 'inherit';
+            button.addEventListener('click', () => update({ tool }));
+            this.drawingToolButtons.set(tool, button);
+            bar.appendChild(button);
+        });
+
+        const shapeSelect = styleControl(document.createElement('select'));
+        shapeSelect.title = 'Brush shape';
+        shapeSelect.innerHTML = '<option value="round">Round</option><option value="square">Square</option>';
+        shapeSelect.addEventListener('change', () => update({ shape: shapeSelect.value }));
+        bar.appendChild(shapeSelect);
+
+        const sizeInput = styleControl(document.createElement('input'));
+        sizeInput.type = 'number';
+        sizeInput.min = '1';
+        sizeInput.max = '256';
+        sizeInput.title = 'Brush size in texels';
+        sizeInput.style.width = '52px';
+        sizeInput.addEventListener('change', () => {
+            const size = Number(sizeInput.value);
+            if (Number.isInteger(size) && size >= 1 && size <= 256) {
+                update({ size });
+            } else {
+                this.showNotification('Brush size must be a whole number from 1 to 256', 'error');
+                this.updateDrawingToolbar();
+            }
+        });
+        bar.appendChild(sizeInput);
+
+        // Per-channel write mask
+        const channelBoxes = TEXTURE_CHANNEL_NAMES.map((name, c) => {
+            const label = document.createElement('label');
+            label.title = `Write the ${name.toUpperCase()} channel`;
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.addEventListener('change', () => {
+                const channels = [...this.preferences.drawingTool.channels];
+                channels[c] = checkbox.checked;
+                update({ channels });
+            });
+            label.append(checkbox, name.toUpperCase());
+            bar.appendChild(label);
+            return checkbox;
+        });
+
+        const symmetrySelect = styleControl(document.createElement('select'));
+        symmetrySelect.title = 'Mirror strokes across the buffer\'s center lines';
+        symmetrySelect.innerHTML = '<option value="none">No mirror</option><option value="x">Mirror X</option>' +
+            '<option value="y">Mirror Y</option><option value="xy">Mirror XY</option>';
+        symmetrySelect.addEventListener('change', () => update({ symmetry: symmetrySelect.value }));
+        bar.appendChild(symmetrySelect);
+
+        const inspectLabel = document.createElement('label');
+        inspectLabel.title = 'Show texel values when hovering a preview (P pins a probe, M toggles the magnifier)';
+        inspectLabel.style.marginLeft = '6px';
+        const inspectBox = document.createElement('input');
+        inspectBox.type = 'checkbox';
+        inspectBox.addEventListener('change', () => {
+            this.setPreference('inspector', { ...this.preferences.inspector, enabled: inspectBox.checked });
+        });
+        inspectLabel.append(inspectBox, 'Inspect');
+        bar.appendChild(inspectLabel);
+
+        this.drawingToolControls = { shapeSelect, sizeInput, channelBoxes, symmetrySelect, inspectBox };
+        document.body.appendChild(bar);
+        this.updateDrawingToolbar();
+    }
+
+    updateDrawingToolbar() {
+        const settings = this.preferences.drawingTool;
+        this.drawingToolButtons.forEach((button, tool) => {
+            button.style.background = tool === settings.tool ? '#3a5a7a' : '#2a2a2a';
+        });
+        const { shapeSelect, sizeInput, channelBoxes, symmetrySelect, inspectBox } = this.drawingToolControls;
+        shapeSelect.value = settings.shape;
+        sizeInput.value = String(settings.size);
+        channelBoxes.forEach((checkbox, c) => {
+            checkbox.checked = settings.channels[c];
+        });
+        symmetrySelect.value = settings.symmetry;
+        inspectBox.checked = this.preferences.inspector.enabled;
+    }
+
+    updateReplayButtons() {
+        if (!this.recordButton) return;
+        this.recordButton.textContent = this.recording ? '■ Stop' : '● Record';
+        this.recordButton.style.color = this.recording ? '#ff8888' : '#e0e0e0';
+        this.replayButton.disabled = !this.replay;
+        this.replayButton.style.opacity = this.replay ? '1' : '0.5';
+    }
+
+    // Snapshot every buffer and start logging each step's time, dt and mouse input. Shader
+    // internal outputs are cleared so the recording and its replays start from the same state.
+    startRecording() {
+        this.replaying = false;
+        const snapshot = new Map();
+        for (const node of this.getAllNodes()) {
+            if (node.type === 'shader') {
+                node.resetOutputs();
+            } else if (node.type === 'texture-buffer') {
+                snapshot.set(node.id, node.getContents());
+            }
+        }
+        this.recording = {
+            snapshot,
+            startIteration: this.iteration,
+            masterSeed: this.simulation.masterSeed,
+            log: []
+        };
+        this.updateReplayButtons();
+    }
+
+    finishRecording() {
+        if (!this.recording) return;
+        const recording = this.recording;
+        this.recording = null;
+        this.replay = { ...recording, endIteration: recording.startIteration + recording.log.length };
+        this.updateReplayButtons();
+        this.showNotification(`Recorded iterations ${this.replay.startIteration}–${this.replay.endIteration}`);
+    }
+
+    // Rerun the last recording from its snapshot. Steps read the logged inputs and the recording's
+    // master seed, so unchanged shaders produce identical results.
+    startReplay() {
+        if (!this.replay) return;
+        this.finishRecording();
+        for (const node of this.getAllNodes()) {
+            if (node.type === 'shader') {
+                node.resetOutputs();
+            } else if (node.type === 'texture-buffer') {
+                const contents = this.replay.snapshot.get(node.id);
+                if (contents && !node.setContents(contents)) {
+                    this.showNotification(`${node.name} changed size or format since the recording; the replay won't match`, 'error');
+                }
+            }
+        }
+        this.iteration = this.replay.startIteration;
+        this.lastEvaluationTime = null;
+        this.replaying = true;
+        if (this.replay.endIteration > this.iteration) {
+            this.runUntil(this.replay.endIteration);
+        }
+    }
+
+    updateIterationDisplay() {
+        if (this.iterationDisplay && this.displayedIteration !== this.iteration) {
+            this.iterationDisplay.textContent = `Iteration ${this.iteration}`;
+            this.displayedIteration = this.iteration;
+        }
+    }
+
+    stepOnce() {
+        this.setPaused(true);
+        if (this.restoringContents) return;
+        this.step();
+        this.updateIterationDisplay();
+    }
+
+    // Run until `iteration` reaches the target, then pause
+    runUntil(target) {
+        if (target <= this.iteration) {
+            this.showNotification(`Already at iteration ${this.iteration}`);
+            return;
+        }
+        this.setPaused(false, target);
+    }
+
+    // Put every buffer back to its saved contents (zeros when nothing is saved), clear shaders'
+    // internal outputs and restart from iteration 0. Evaluation waits until it's done.
+    async resetSimulation() {
+        this.runTarget = null;
+        this.finishRecording();
+        this.replaying = false;
+        this.restoringContents = true;
+        try {
+            for (const node of this.getAllNodes()) {
+                if (node.type === 'shader') {
+                    node.resetOutputs();
+                }
+                if (node.type !== 'texture-buffer') continue;
+                const contents = node.keepContents ? await this.loadStoredContents(node) : null;
+                if (!contents || !node.setContents(contents)) {
+                    const data = this.webglManager.allocateTextureData(node.format, node.textureWidth * node.textureHeight);
+                    node.setContents({ format: node.format, width: node.textureWidth, height: node.textureHeight, data });
+                }
+            }
+            this.iteration = 0;
+            this.lastEvaluationTime = null;
+        } catch (error) {
+            console.error('Error resetting simulation:', error);
+            this.showNotification(`Could not reset: ${error.message}`, 'error');
+        } finally {
+            this.restoringContents = false;
+        }
+    }
+
+    // Apply simulation settings from a project and show them in the toolbar
+    setSimulationSettings(settings) {
+        const previousSeed = this.simulation.masterSeed;
+        this.simulation = { ...DEFAULT_SIMULATION_SETTINGS, ...settings };
+        if (this.simulation.masterSeed === undefined) {
+            this.simulation.masterSeed = SeededRandom.randomSeed();
+        }
+        if (!this.random || this.simulation.masterSeed !== previousSeed) {
+            this.random = new SeededRandom(this.simulation.masterSeed);
+        }
+        this.stepBudget = 0;
+        if (this.simulationInputs) {
+            this.simulationInputs.stepsPerFrame.value = this.simulation.stepsPerFrame;
+            this.simulationInputs.targetStepsPerSecond.value = this.simulation.targetStepsPerSecond;
+        }
+        if (this.seedInput) {
+            this.seedInput.value = this.simulation.masterSeed;
+        }
+    }
+
+    // Change settings from the toolbar; invalid values put the inputs back
+    updateSimulationSettings(changes) {
+        const settings = { ...this.simulation, ...changes };
+        if (!Number.isInteger(settings.stepsPerFrame) || settings.stepsPerFrame < 1 ||
+            !Number.isFinite(settings.targetStepsPerSecond) || settings.targetStepsPerSecond < 0 ||
+            !Number.isInteger(settings.masterSeed) || settings.masterSeed < 0 || settings.masterSeed > 0xFFFFFFFF) {
+            this.showNotification('Steps per frame must be a whole number of at least 1, the target rate 0 or more and the seed a whole number from 0 to 4294967295', 'error');
+            settings.stepsPerFrame = this.simulation.stepsPerFrame;
+            settings.targetStepsPerSecond = this.simulation.targetStepsPerSecond;
+            settings.masterSeed = this.simulation.masterSeed;
+        }
+        this.setSimulationSettings(settings);
+        this.saveState();
+    }
+
+    loadPreferences() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(PREFERENCES_STORAGE_KEY) || '{}');
+            return {
+                ...DEFAULT_PREFERENCES,
+                ...saved,
+                drawingTool: { ...DEFAULT_PREFERENCES.drawingTool, ...saved.drawingTool },
+                inspector: { ...DEFAULT_PREFERENCES.inspector, ...saved.inspector }
+            };
+        } catch (error) {
+            console.error('Error loading preferences:', error);
+            return { ...DEFAULT_PREFERENCES };
+        }
+    }
+
+    setPreference(name, value) {
+        this.preferences[name] = value;
+        try {
+            localStorage.setItem(PREFERENCES_STORAGE_KEY, JSON.stringify(this.preferences));
+        } catch (error) {
+            console.error('Error saving preferences:', error);
+        }
+    }
+
+    // True while nodes are being dragged or the layout is still moving
+    isArranging() {
+        return this.dragging || this.physics.particles.some(p =>
+            Math.abs(p.vx) >= 0.1 || Math.abs(p.vy) >= 0.1
+        );
+    }
+
     setupAutoSave() {
         // Save state periodically and on changes
         setInterval(() => this.saveState(), 2000);
@@ -175,292 +799,739 @@ class App {
 
     saveState() {
         try {
-            const state = {
-                nodes: this.nodes.map(node => {
-                    const nodeData = {
-                        id: node.id,
-                        type: node.type,
-                        x: node.particle.x,
-                        y: node.particle.y,
-                        width: node.particle.width,
-                        height: node.particle.height,
-                        name: node.name
-                    };
-                    
-                    if (node.type === 'texture-buffer') {
-                        nodeData.textureWidth = node.textureWidth;
-                        nodeData.textureHeight = node.textureHeight;
-                        // Don't save texture pixel data - it's too large for localStorage
-                        // Texture data will be regenerated from shader computations on load
-                        // Only save if it's a manually drawn texture (we could add a flag for this later)
-                        nodeData.textureData = null; // Skip saving texture data to avoid quota issues
-                    } else if (node.type === 'shader') {
-                        nodeData.code = node.code || (node.monacoEditor ? node.monacoEditor.getValue() : '');
-                        nodeData.inputs = node.inputs.map(inp => ({ name: inp.name, port: inp.port }));
-                        nodeData.outputs = node.outputs.map(out => ({ name: out.name, port: out.port }));
-                        nodeData.collapsed = node.collapsed || false;
-                    } else if (node.type === 'palette') {
-                        nodeData.colors = node.colors;
-                        nodeData.selectedColorIndex = node.selectedColorIndex;
-                    }
-                    
-                    return nodeData;
-                }),
-                edges: this.graph.edges.map(edge => ({
-                    fromId: edge.from.id,
-                    fromPort: edge.fromPort,
-                    toId: edge.to.id,
-                    toPort: edge.toPort
-                })),
-                counters: {
-                    nodeId: this.nodeIdCounter,
-                    textureBuffer: this.textureBufferCounter,
-                    shader: this.shaderCounter
-                }
-            };
-            
+            const state = this.serializeState();
             localStorage.setItem('shaderPlaygroundState', JSON.stringify(state));
         } catch (error) {
             console.error('Error saving state:', error);
         }
     }
 
+    // Project document in the current schema; used for auto-save and project files alike
+    serializeState() {
+        return {
+            format: PROJECT_FILE_FORMAT,
+            version: PROJECT_SCHEMA_VERSION,
+            nodes: this.nodes.map(node => this.serializeNode(node)),
+            edges: this.graph.edges.map(edge => this.serializeEdge(edge)),
+            counters: {
+                nodeId: this.nodeIdCounter,
+                textureBuffer: this.textureBufferCounter,
+                shader: this.shaderCounter,
+                group: this.groupCounter
+            },
+            mouseSourceId: this.mouseSourceNode ? this.mouseSourceNode.id : null,
+            simulation: { ...this.simulation },
+            view: {
+                zoom: this.zoom
+            }
+        };
+    }
+
+    serializeNode(node) {
+        const nodeData = {
+            id: node.id,
+            type: node.type,
+            x: node.particle.x,
+            y: node.particle.y,
+            width: node.particle.width,
+            height: node.particle.height,
+            name: node.name
+        };
+        if (node.loopIterations > 1) {
+            nodeData.loopIterations = node.loopIterations;
+        }
+        
+        if (node.type === 'texture-buffer') {
+            nodeData.textureWidth = node.textureWidth;
+            nodeData.textureHeight = node.textureHeight;
+            nodeData.format = node.format;
+            // Pixel data is too large for localStorage; kept contents live in the texture store
+            nodeData.keepContents = node.keepContents;
+        } else if (node.type === 'shader') {
+            nodeData.code = node.code || (node.monacoEditor ? node.monacoEditor.getValue() : '');
+            nodeData.inputs = node.inputs.map(inp => ({ name: inp.name, port: inp.port }));
+            nodeData.outputs = node.outputs.map(out => ({ name: out.name, port: out.port }));
+            nodeData.collapsed = node.collapsed || false;
+            nodeData.uniformValues = node.uniformValues;
+        } else if (node.type === 'palette') {
+            nodeData.colors = node.colors;
+            nodeData.selectedColorIndex = node.selectedColorIndex;
+            nodeData.expanded = node.expanded;
+        } else if (node.type === 'group') {
+            nodeData.inputs = node.inputs.map(port => ({ ...port }));
+            nodeData.outputs = node.outputs.map(port => ({ ...port }));
+            // Boundary edges are rebuilt from the outer edges when the group runs
+            nodeData.graph = {
+                nodes: node.innerGraph.nodes.map(inner => this.serializeNode(inner)),
+                edges: node.innerGraph.edges.filter(edge => !edge.boundary).map(edge => this.serializeEdge(edge))
+            };
+        }
+        
+        return nodeData;
+    }
+
+    serializeEdge(edge) {
+        const edgeData = {
+            fromId: edge.from.id,
+            fromPort: edge.fromPort,
+            toId: edge.to.id,
+            toPort: edge.toPort
+        };
+        // Chosen by the user as the edge that reads the previous iteration (see Graph.buildEvaluationPlan)
+        if (edge.feedback) {
+            edgeData.feedback = true;
+        }
+        return edgeData;
+    }
+
     loadState() {
         try {
             const saved = localStorage.getItem('shaderPlaygroundState');
             if (!saved) return;
             
-            const state = JSON.parse(saved);
-            
-            // Restore counters
-            this.nodeIdCounter = state.counters?.nodeId || 0;
-            this.textureBufferCounter = state.counters?.textureBuffer || 0;
-            this.shaderCounter = state.counters?.shader || 0;
-            
-            // Create a map to store nodes by ID for connection restoration
-            const nodeMap = new Map();
-            
-            // Restore nodes
-            if (state.nodes) {
-                for (const nodeData of state.nodes) {
-                    let node;
-                    
-                    if (nodeData.type === 'texture-buffer') {
-                        node = new TextureBufferNode(
-                            nodeData.id,
-                            nodeData.x,
-                            nodeData.y,
-                            this.physics,
-                            this.webglManager,
-                            nodeData.textureWidth || 512,
-                            nodeData.textureHeight || 512,
-                            nodeData.name || 'tex_0'
-                        );
-                        
-                        // Don't restore texture data - textures will be regenerated from shader computations
-                        // Initialize with empty texture (black)
-                        const gl = this.webglManager.gl;
-                        const data = new Uint8Array(node.textureWidth * node.textureHeight * 4);
-                        gl.bindTexture(gl.TEXTURE_2D, node.texture);
-                        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, node.textureWidth, node.textureHeight, 0, gl.RGBA, gl.UNSIGNED_BYTE, data);
-                        // Preview will be updated after graph evaluation
-                    } else if (nodeData.type === 'shader') {
-                        node = new ShaderNode(
-                            nodeData.id,
-                            nodeData.x,
-                            nodeData.y,
-                            this.physics,
-                            this.webglManager,
-                            nodeData.name || 'shad_0'
-                        );
-                        
-                        // Restore inputs and outputs
-                        if (nodeData.inputs) {
-                            node.inputs = nodeData.inputs;
-                            node.updatePorts();
-                        } else {
-                            node.addInput('input0');
-                        }
-                        
-                        if (nodeData.outputs) {
-                            node.outputs = nodeData.outputs;
-                            node.updatePorts();
-                        } else {
-                            node.addOutput('output0');
-                        }
-                        
-                        // Restore collapsed state
-                        if (nodeData.collapsed !== undefined) {
-                            node.collapsed = nodeData.collapsed;
-                            // Update collapse state after a short delay to ensure DOM is ready
-                            setTimeout(() => {
-                                node.updateCollapseState();
-                            }, 100);
-                        }
-                        
-                        // Restore shader code
-                        if (nodeData.code) {
-                            node.code = nodeData.code;
-                            // Wait for Monaco to be ready, then set the code
-                            setTimeout(() => {
-                                if (node.monacoEditor) {
-                                    node.monacoEditor.setValue(nodeData.code);
-                                    // Update header after code is set
-                                    if (this.graph) {
-                                        node.updateHeader(this.graph);
-                                    }
-                                } else {
-                                    // Retry if Monaco isn't ready yet
-                                    const checkMonaco = setInterval(() => {
-                                        if (node.monacoEditor) {
-                                            node.monacoEditor.setValue(nodeData.code);
-                                            // Update header after code is set
-                                            if (this.graph) {
-                                                node.updateHeader(this.graph);
-                                            }
-                                            clearInterval(checkMonaco);
-                                        }
-                                    }, 100);
-                                    setTimeout(() => clearInterval(checkMonaco), 5000);
-                                }
-                            }, 500);
-                        }
-                    } else if (nodeData.type === 'palette') {
-                        node = new PaletteNode(
-                            nodeData.id,
-                            nodeData.x,
-                            nodeData.y,
-                            this.physics
-                        );
-                        
-                        // Restore colors and selection
-                        if (nodeData.colors) {
-                            node.colors = nodeData.colors;
-                        }
-                        if (nodeData.selectedColorIndex !== undefined) {
-                            node.selectedColorIndex = nodeData.selectedColorIndex;
-                        }
-                        if (nodeData.expanded !== undefined) {
-                            node.expanded = nodeData.expanded;
-                            // Update expand button if needed
-                            const expandBtn = node.element.querySelector('.palette-expand-btn');
-                            if (expandBtn) {
-                                expandBtn.textContent = node.expanded ? '▼' : '▶';
-                            }
-                            const controls = node.element.querySelector(`#palette-controls-${node.id}`);
-                            if (controls) {
-                                controls.style.display = node.expanded ? 'block' : 'none';
-                            }
-                        }
-                        node.renderColors();
-                    }
-                    
-                    if (node) {
-                        // Store palette node reference
-                        if (node.type === 'palette') {
-                            this.paletteNode = node;
-                        }
-                        // Restore position and size
-                        node.particle.x = nodeData.x;
-                        node.particle.y = nodeData.y;
-                        node.setSize(nodeData.width || 200, nodeData.height || 200);
-                        node.updatePosition();
-                        
-                        // Restore name display
-                        const titleEl = node.element.querySelector(`[data-node-title="${node.id}"]`);
-                        if (titleEl) {
-                            titleEl.textContent = nodeData.name || node.name;
-                        }
-                        
-                        this.nodes.push(node);
-                        this.graph.addNode(node);
-                        this.nodeContainer.appendChild(node.element);
-                        this.setupNodeEvents(node);
-                        nodeMap.set(nodeData.id, node);
-                    }
+            const state = this.prepareState(JSON.parse(saved));
+            this.restoreState(state);
+            this.restoreTextureContents();
+        } catch (error) {
+            console.error('Error loading state:', error);
+            this.showNotification(`Could not restore the previous session: ${error.message}`, 'error');
+        }
+    }
+
+    // Bring a parsed project document up to the current schema and check it can be restored.
+    // Throws an Error with a user-facing message.
+    prepareState(state) {
+        if (!state || typeof state !== 'object' || Array.isArray(state)) {
+            throw new Error('Project is not a JSON object');
+        }
+        // Documents written before versioning are schema 1
+        let version = state.version === undefined ? 1 : state.version;
+        if (!Number.isInteger(version) || version < 1) {
+            throw new Error(`Invalid schema version "${state.version}"`);
+        }
+        if (version > PROJECT_SCHEMA_VERSION) {
+            throw new Error(`Project uses schema version ${version}, but this playground only supports up to version ${PROJECT_SCHEMA_VERSION}`);
+        }
+        
+        let migrated = JSON.parse(JSON.stringify(state));
+        while (version < PROJECT_SCHEMA_VERSION) {
+            migrated = PROJECT_MIGRATIONS[version](migrated);
+            version = migrated.version;
+        }
+        
+        this.validateState(migrated);
+        return migrated;
+    }
+
+    validateState(state) {
+        if (!Array.isArray(state.nodes)) {
+            throw new Error('Project has no "nodes" list');
+        }
+        if (!Array.isArray(state.edges)) {
+            throw new Error('Project has no "edges" list');
+        }
+        this.validateGraph(state.nodes, state.edges, new Set());
+        
+        // Clipboard and asset documents have no simulation settings
+        const simulation = state.simulation;
+        if (simulation !== undefined && (!simulation ||
+            !Number.isInteger(simulation.stepsPerFrame) || simulation.stepsPerFrame < 1 ||
+            !Number.isFinite(simulation.targetStepsPerSecond) || simulation.targetStepsPerSecond < 0 ||
+            !Number.isInteger(simulation.masterSeed) || simulation.masterSeed < 0 || simulation.masterSeed > 0xFFFFFFFF)) {
+            throw new Error('Project has invalid simulation settings');
+        }
+    }
+
+    // Check one level of nodes and the edges between them, recursing into groups. `ids` collects
+    // node ids across all levels, which must be unique. Returns the ids on this level.
+    validateGraph(nodes, edges, ids) {
+        const nodeTypes = ['texture-buffer', 'shader', 'palette', 'group'];
+        const levelIds = new Set();
+        nodes.forEach((nodeData, i) => {
+            if (!nodeData || typeof nodeData.id !== 'string') {
+                throw new Error(`Node ${i} has no id`);
+            }
+            if (ids.has(nodeData.id)) {
+                throw new Error(`Duplicate node id "${nodeData.id}"`);
+            }
+            ids.add(nodeData.id);
+            levelIds.add(nodeData.id);
+            if (!nodeTypes.includes(nodeData.type)) {
+                throw new Error(`Node "${nodeData.id}" has unknown type "${nodeData.type}"`);
+            }
+            if (!Number.isFinite(nodeData.x) || !Number.isFinite(nodeData.y)) {
+                throw new Error(`Node "${nodeData.id}" has no valid position`);
+            }
+            if (nodeData.loopIterations !== undefined &&
+                (!Number.isInteger(nodeData.loopIterations) || nodeData.loopIterations < 1)) {
+                throw new Error(`Node "${nodeData.name || nodeData.id}" has an invalid loop iteration count`);
+            }
+            if (nodeData.type === 'texture-buffer') {
+                const validSize = (v) => Number.isInteger(v) && v > 0 && v <= 8192;
+                if (!validSize(nodeData.textureWidth) || !validSize(nodeData.textureHeight)) {
+                    throw new Error(`Texture buffer "${nodeData.name || nodeData.id}" has an invalid size`);
+                }
+                const contents = nodeData.contents;
+                if (contents !== undefined && (!contents || typeof contents.data !== 'string' ||
+                    contents.encoding !== 'deflate-base64' || contents.width !== nodeData.textureWidth ||
+                    contents.height !== nodeData.textureHeight || contents.format !== nodeData.format)) {
+                    throw new Error(`Texture buffer "${nodeData.name || nodeData.id}" has contents that don't match its size or format`);
                 }
             }
-            
-            // Restore connections
-            if (state.edges) {
-                for (const edgeData of state.edges) {
-                    const fromNode = nodeMap.get(edgeData.fromId);
-                    const toNode = nodeMap.get(edgeData.toId);
-                    
-                    if (fromNode && toNode) {
-                        // Ensure ports exist
-                        if (toNode.type === 'shader') {
-                            while (toNode.inputs.length <= edgeData.toPort) {
-                                toNode.addInput(`input${toNode.inputs.length}`);
-                            }
-                        }
-                        
-                        this.graph.addEdge(fromNode, edgeData.fromPort, toNode, edgeData.toPort);
-                    }
+            if (nodeData.type === 'shader' && nodeData.code !== undefined && typeof nodeData.code !== 'string') {
+                throw new Error(`Shader "${nodeData.name || nodeData.id}" has invalid code`);
+            }
+            if (nodeData.type === 'group') {
+                const graph = nodeData.graph;
+                if (!graph || !Array.isArray(graph.nodes) || !Array.isArray(graph.edges)) {
+                    throw new Error(`Group "${nodeData.name || nodeData.id}" has no inner graph`);
+                }
+                if (graph.nodes.some(inner => inner && inner.type === 'palette')) {
+                    throw new Error(`Group "${nodeData.name || nodeData.id}" contains a palette`);
+                }
+                const innerIds = this.validateGraph(graph.nodes, graph.edges, ids);
+                const validPort = (port) => port && typeof port.name === 'string' &&
+                    innerIds.has(port.nodeId) && Number.isInteger(port.port) && port.port >= 0;
+                if (!Array.isArray(nodeData.inputs) || !Array.isArray(nodeData.outputs) ||
+                    !nodeData.inputs.every(validPort) || !nodeData.outputs.every(validPort)) {
+                    throw new Error(`Group "${nodeData.name || nodeData.id}" has invalid ports`);
+                }
+            }
+        });
+        
+        edges.forEach((edgeData, i) => {
+            if (!edgeData || !levelIds.has(edgeData.fromId) || !levelIds.has(edgeData.toId)) {
+                throw new Error(`Connection ${i} refers to a node that doesn't exist`);
+            }
+            if (!Number.isInteger(edgeData.fromPort) || !Number.isInteger(edgeData.toPort) ||
+                edgeData.fromPort < 0 || edgeData.toPort < 0) {
+                throw new Error(`Connection ${i} has invalid ports`);
+            }
+            if (edgeData.feedback !== undefined && typeof edgeData.feedback !== 'boolean') {
+                throw new Error(`Connection ${i} has an invalid feedback flag`);
+            }
+        });
+        return levelIds;
+    }
+
+    restoreState(state) {
+        // Restore counters
+        this.nodeIdCounter = state.counters?.nodeId || 0;
+        this.textureBufferCounter = state.counters?.textureBuffer || 0;
+        this.shaderCounter = state.counters?.shader || 0;
+        this.groupCounter = state.counters?.group || 0;
+        this.setSimulationSettings(state.simulation || DEFAULT_SIMULATION_SETTINGS);
+        
+        // Create a map to store nodes by ID for connection restoration
+        const nodeMap = new Map();
+        
+        // Restore nodes
+        if (state.nodes) {
+            for (const nodeData of state.nodes) {
+                const node = this.createNodeFromData(nodeData);
+                if (node) {
+                    nodeMap.set(nodeData.id, node);
                 }
-                this.updateConnections();
             }
+        }
+        
+        // Restore connections
+        if (state.edges) {
+            for (const edgeData of state.edges) {
+                this.addEdgeFromData(edgeData, nodeMap);
+            }
+            this.updateConnections();
+        }
+        
+        if (state.mouseSourceId && nodeMap.has(state.mouseSourceId)) {
+            this.setMouseSource(nodeMap.get(state.mouseSourceId));
+        }
+        
+        // Update shader headers after a delay to ensure everything is initialized
+        setTimeout(() => {
+            this.nodes.forEach(node => {
+                if (node.type === 'shader') {
+                    node.updateHeader(this.graph);
+                }
+            });
             
-            // Update shader headers after a delay to ensure everything is initialized
+            // Evaluate graph once to regenerate textures from shaders
             setTimeout(() => {
+                this.graph.evaluate(this.webglManager, 0);
+                // Update all texture buffer previews
                 this.nodes.forEach(node => {
-                    if (node.type === 'shader') {
-                        node.updateHeader(this.graph);
+                    if (node.type === 'texture-buffer') {
+                        node.updatePreview();
                     }
                 });
-                
-                // Evaluate graph once to regenerate textures from shaders
-                setTimeout(() => {
-                    this.graph.evaluate(this.webglManager, 0);
-                    // Update all texture buffer previews
-                    this.nodes.forEach(node => {
-                        if (node.type === 'texture-buffer') {
-                            node.updatePreview();
-                        }
-                    });
-                }, 500);
-            }, 1000); // Wait for Monaco editors to initialize
-        } catch (error) {
-            console.error('Error loading state:', error);
+            }, 500);
+        }, 1000); // Wait for Monaco editors to initialize
+        
+        // Restore view transform
+        if (state.view && Number.isFinite(state.view.zoom)) {
+            this.zoom = Math.max(this.zoomMin, Math.min(this.zoomMax, state.view.zoom));
+            this.applyZoom();
         }
     }
 
-    setupPreviewOverlay() {
-        // The overlay canvas is now the main WebGL context
-        // Set up resize handler
-        const resizeOverlay = () => {
-            const dpr = window.devicePixelRatio || 1;
-            const rect = this.previewOverlay.getBoundingClientRect();
-            this.previewOverlay.width = rect.width * dpr;
-            this.previewOverlay.height = rect.height * dpr;
-            this.previewOverlay.style.width = `${rect.width}px`;
-            this.previewOverlay.style.height = `${rect.height}px`;
-            
-            const gl = this.webglManager.gl;
-            if (gl) {
-                gl.viewport(0, 0, this.previewOverlay.width, this.previewOverlay.height);
-            }
-        };
-        
-        resizeOverlay();
-        window.addEventListener('resize', resizeOverlay);
+    // Create a node from its serialized form and add it to the graph and the page
+    createNodeFromData(nodeData) {
+        const node = this.buildNode(nodeData);
+        if (node) {
+            this.attachNode(node);
+        }
+        return node;
     }
 
-    setupConnectionLine() {
-        const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-        svg.setAttribute('class', 'connection-line');
-        svg.style.position = 'absolute';
-        svg.style.top = '0';
-        svg.style.left = '0';
-        // Make SVG extremely large to cover all possible node positions
-        svg.setAttribute('width', '50000');
-        svg.setAttribute('height', '50000');
-        svg.setAttribute('viewBox', '0 0 50000 50000');
-        svg.style.pointerEvents = 'none';
-        // Center the viewBox around the origin
-        svg.style.transform = 'translate(-25000px, -25000px)';
-        this.nodeContainer.appendChild(svg);
-
+    // Put a node on the canvas, in the top-level graph
+    attachNode(node) {
+        this.nodes.push(node);
+        this.graph.addNode(node);
+        this.nodeContainer.appendChild(node.element);
+    }
+
+    // Create a node from its serialized form without adding it anywhere; group contents are
+    // built into the group's inner graph
+    buildNode(nodeData) {
+        let node;
+        
+        if (nodeData.type === 'texture-buffer') {
+            node = new TextureBufferNode(
+                nodeData.id,
+                nodeData.x,
+                nodeData.y,
+                this.physics,
+                this.webglManager,
+                nodeData.textureWidth || 512,
+                nodeData.textureHeight || 512,
+                nodeData.name || 'tex_0',
+                nodeData.format || 'RGBA8'
+            );
+            
+            // Kept contents are uploaded from the texture store afterwards;
+            // other buffers start out zero-filled (black)
+            if (nodeData.keepContents === false) {
+                node.keepContents = false;
+                node.element.querySelector('.texture-keep-checkbox').checked = false;
+            }
+        } else if (nodeData.type === 'shader') {
+            node = new ShaderNode(
+                nodeData.id,
+                nodeData.x,
+                nodeData.y,
+                this.physics,
+                this.webglManager,
+                nodeData.name || 'shad_0'
+            );
+            
+            // Restore inputs and outputs
+            if (nodeData.inputs) {
+                node.inputs = nodeData.inputs;
+                node.updatePorts();
+            } else {
+                node.addInput('input0');
+            }
+            
+            if (nodeData.outputs) {
+                node.outputs = nodeData.outputs;
+                node.updatePorts();
+            } else {
+                node.addOutput('output0');
+            }
+            
+            // Restore collapsed state
+            if (nodeData.collapsed !== undefined) {
+                node.collapsed = nodeData.collapsed;
+                // Update collapse state after a short delay to ensure DOM is ready
+                setTimeout(() => {
+                    node.updateCollapseState();
+                }, 100);
+            }
+            
+            // Restore parameter values before the code is parsed so they survive it
+            if (nodeData.uniformValues) {
+                node.uniformValues = nodeData.uniformValues;
+            }
+            
+            // Restore shader code
+            if (nodeData.code) {
+                node.code = nodeData.code;
+                node.updateUniformParameters();
+                // Wait for Monaco to be ready, then set the code
+                setTimeout(() => {
+                    if (node.monacoEditor) {
+                        node.monacoEditor.setValue(nodeData.code);
+                        // Update header after code is set
+                        node.updateHeader(node.getGraph());
+                    } else {
+                        // Retry if Monaco isn't ready yet
+                        const checkMonaco = setInterval(() => {
+                            if (node.monacoEditor) {
+                                node.monacoEditor.setValue(nodeData.code);
+                                // Update header after code is set
+                                node.updateHeader(node.getGraph());
+                                clearInterval(checkMonaco);
+                            }
+                        }, 100);
+                        setTimeout(() => clearInterval(checkMonaco), 5000);
+                    }
+                }, 500);
+            }
+        } else if (nodeData.type === 'palette') {
+            node = new PaletteNode(
+                nodeData.id,
+                nodeData.x,
+                nodeData.y,
+                this.physics
+            );
+            
+            // Restore colors and selection
+            if (nodeData.colors) {
+                node.colors = nodeData.colors;
+            }
+            if (nodeData.selectedColorIndex !== undefined) {
+                node.selectedColorIndex = nodeData.selectedColorIndex;
+            }
+            if (nodeData.expanded !== undefined) {
+                node.expanded = nodeData.expanded;
+                // Update expand button if needed
+                const expandBtn = node.element.querySelector('.palette-expand-btn');
+                if (expandBtn) {
+                    expandBtn.textContent = node.expanded ? '▼' : '▶';
+                }
+                const controls = node.element.querySelector(`#palette-controls-${node.id}`);
+                if (controls) {
+                    controls.style.display = node.expanded ? 'block' : 'none';
+                }
+            }
+            node.renderColors();
+        } else if (nodeData.type === 'group') {
+            node = new GroupNode(
+                nodeData.id,
+                nodeData.x,
+                nodeData.y,
+                this.physics,
+                nodeData.name || 'group_0'
+            );
+            
+            const innerNodes = new Map();
+            for (const innerData of nodeData.graph.nodes) {
+                const inner = this.buildNode(innerData);
+                if (inner) {
+                    innerNodes.set(innerData.id, inner);
+                    node.addInnerNode(inner);
+                }
+            }
+            for (const edgeData of nodeData.graph.edges) {
+                this.addEdgeFromData(edgeData, innerNodes, node.innerGraph);
+            }
+            node.setPorts(nodeData.inputs, nodeData.outputs);
+        }
+        
+        if (node) {
+            // Store palette node reference
+            if (node.type === 'palette') {
+                this.paletteNode = node;
+            }
+            node.loopIterations = nodeData.loopIterations || 1;
+            // Restore position and size
+            node.particle.x = nodeData.x;
+            node.particle.y = nodeData.y;
+            node.setSize(nodeData.width || 200, nodeData.height || 200);
+            node.updatePosition();
+            
+            // Restore name display
+            const titleEl = node.element.querySelector(`[data-node-title="${node.id}"]`);
+            if (titleEl) {
+                titleEl.textContent = nodeData.name || node.name;
+            }
+            
+            this.setupNodeEvents(node);
+        }
+        return node;
+    }
+
+    // Add a serialized edge to `graph` between nodes looked up in nodeMap (id -> node), creating
+    // any shader ports it needs. Returns the edge, or null if either end is missing.
+    addEdgeFromData(edgeData, nodeMap, graph = this.graph) {
+        const fromNode = nodeMap.get(edgeData.fromId);
+        const toNode = nodeMap.get(edgeData.toId);
+        if (!fromNode || !toNode) return null;
+        
+        // Ensure ports exist
+        if (toNode.type === 'shader') {
+            while (toNode.inputs.length <= edgeData.toPort) {
+                toNode.addInput(`input${toNode.inputs.length}`);
+            }
+        }
+        if (fromNode.type === 'shader') {
+            while (fromNode.outputs.length <= edgeData.fromPort) {
+                fromNode.addOutput(`output${fromNode.outputs.length}`);
+            }
+        }
+        
+        const edge = graph.addEdge(fromNode, edgeData.fromPort, toNode, edgeData.toPort);
+        if (edgeData.feedback) {
+            edge.feedback = true;
+        }
+        return edge;
+    }
+
+    // Upload kept contents from the texture store. Evaluation is held off until this finishes so
+    // the first iteration starts from the saved contents.
+    async restoreTextureContents() {
+        this.restoringContents = true;
+        try {
+            for (const node of this.getAllNodes()) {
+                if (node.type !== 'texture-buffer' || !node.keepContents) continue;
+                const contents = await this.loadStoredContents(node);
+                if (contents && !node.setContents(contents)) {
+                    console.warn(`Saved contents of ${node.name} no longer match its size or format`);
+                }
+            }
+        } catch (error) {
+            console.error('Error restoring texture contents:', error);
+            this.showNotification(`Could not restore texture contents: ${error.message}`, 'error');
+        } finally {
+            this.restoringContents = false;
+        }
+    }
+
+    // A buffer's contents from the texture store, or null if none are saved
+    async loadStoredContents(node) {
+        const record = await this.textureStore.load(node.id);
+        if (!record) return null;
+        const ArrayType = this.webglManager.allocateTextureData(record.format, 0).constructor;
+        const data = await TextureStore.decompress(record.data, ArrayType);
+        return { format: record.format, width: record.width, height: record.height, data };
+    }
+
+    saveTextureContents(node) {
+        this.textureStore.save(node.id, node.getContents()).catch(error => {
+            this.showNotification(`Could not save contents of ${node.name}: ${error.message}`, 'error');
+        });
+    }
+
+    deleteTextureContents(node) {
+        this.textureStore.delete(node.id).catch(error => console.error('Error deleting texture contents:', error));
+    }
+
+    // Remove every node and reset counters, leaving an empty project
+    clearProject() {
+        this.nodes.forEach(node => node.destroy());
+        this.nodes = [];
+        this.graph = new Graph();
+        this.selectedNodes.clear();
+        this.paletteNode = null;
+        this.mouseSourceNode = null;
+        this.nodeIdCounter = 0;
+        this.textureBufferCounter = 0;
+        this.shaderCounter = 0;
+        this.groupCounter = 0;
+        this.iteration = 0;
+        this.setSimulationSettings(DEFAULT_SIMULATION_SETTINGS);
+        this.recording = null;
+        this.replay = null;
+        this.replaying = false;
+        this.updateReplayButtons();
+        this.frameRecorders.forEach(entry => entry.panel.remove());
+        this.frameRecorders.clear();
+        this.endStamp();
+        this.inspector.clear();
+        this.connectionsNeedUpdate = true;
+        this.updateConnections();
+        this.textureStore.clear().catch(error => console.error('Error clearing texture contents:', error));
+        this.history.clear();
+    }
+
+    // Download the project as a versioned JSON document. Kept texture contents are embedded as
+    // base64 of the same compressed bytes the texture store holds.
+    async saveProject() {
+        const state = this.serializeState();
+        await this.embedTextureContents(state.nodes);
+        this.downloadJSON(state, 'shader-playground-project.json');
+    }
+
+    // Add kept contents from the texture store to serialized nodes, including those in groups
+    async embedTextureContents(nodes) {
+        try {
+            for (const nodeData of this.getAllNodeData(nodes)) {
+                if (nodeData.type !== 'texture-buffer' || !nodeData.keepContents) continue;
+                const record = await this.textureStore.load(nodeData.id);
+                if (!record) continue;
+                nodeData.contents = {
+                    format: record.format,
+                    width: record.width,
+                    height: record.height,
+                    encoding: 'deflate-base64',
+                    data: await TextureStore.blobToBase64(record.data)
+                };
+            }
+        } catch (error) {
+            console.error('Error exporting texture contents:', error);
+            this.showNotification(`Texture contents were left out of the file: ${error.message}`, 'error');
+        }
+    }
+
+    downloadJSON(data, filename) {
+        const json = JSON.stringify(data, null, 2);
+        this.downloadBlob(new Blob([json], { type: 'application/json' }), filename);
+    }
+
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    openProjectPicker() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+        input.addEventListener('change', () => {
+            if (input.files.length > 0) {
+                this.openProject(input.files[0]);
+            }
+        });
+        input.click();
+    }
+
+    // Replace the current project with one read from a file; the current project is kept if the
+    // file can't be parsed, migrated or validated
+    async openProject(file) {
+        let state;
+        try {
+            const text = await file.text();
+            let parsed;
+            try {
+                parsed = JSON.parse(text);
+            } catch (parseError) {
+                throw new Error(`Not a valid JSON file (${parseError.message})`);
+            }
+            state = this.prepareState(parsed);
+        } catch (error) {
+            console.error('Error opening project:', error);
+            this.showNotification(`Could not open ${file.name}: ${error.message}`, 'error');
+            return;
+        }
+        
+        this.clearProject();
+        this.restoreState(state);
+        this.saveState();
+        await this.importTextureContents(state);
+        this.showNotification(`Opened ${file.name}`);
+    }
+
+    // Upload contents embedded in a project or asset file and add them to the texture store
+    async importTextureContents(state) {
+        this.restoringContents = true;
+        try {
+            const nodes = new Map(this.getAllNodes().map(node => [node.id, node]));
+            for (const nodeData of this.getAllNodeData(state.nodes)) {
+                if (nodeData.type !== 'texture-buffer' || !nodeData.contents) continue;
+                const node = nodes.get(nodeData.id);
+                if (!node) continue;
+                const contents = nodeData.contents;
+                const ArrayType = this.webglManager.allocateTextureData(contents.format, 0).constructor;
+                const blob = await TextureStore.base64ToBlob(contents.data);
+                const data = await TextureStore.decompress(blob, ArrayType);
+                if (!node.setContents({ format: contents.format, width: contents.width, height: contents.height, data })) {
+                    // The buffer fell back to another format on this GPU
+                    this.showNotification(`Contents of ${node.name} don't match its size or format and were skipped`, 'error');
+                    continue;
+                }
+                if (node.keepContents) {
+                    this.saveTextureContents(node);
+                }
+            }
+        } catch (error) {
+            console.error('Error importing texture contents:', error);
+            this.showNotification(`Could not load texture contents: ${error.message}`, 'error');
+        } finally {
+            this.restoringContents = false;
+        }
+    }
+
+    // Nodes including those inside groups, at any depth
+    getAllNodes(nodes = this.nodes) {
+        return nodes.flatMap(node => node.type === 'group'
+            ? [node, ...this.getAllNodes(node.innerGraph.nodes)]
+            : [node]);
+    }
+
+    // Serialized nodes including those inside groups, at any depth
+    getAllNodeData(nodes) {
+        return nodes.flatMap(nodeData => nodeData.type === 'group'
+            ? [nodeData, ...this.getAllNodeData(nodeData.graph.nodes)]
+            : [nodeData]);
+    }
+
+    showNotification(message, type = 'info') {
+        const notification = document.createElement('div');
+        notification.textContent = message;
+        notification.style.position = 'fixed';
+        notification.style.bottom = '20px';
+        notification.style.left = '50%';
+        notification.style.transform = 'translateX(-50%)';
+        notification.style.zIndex = '1001';
+        notification.style.padding = '10px 15px';
+        notification.style.maxWidth = '600px';
+        notification.style.borderRadius = '4px';
+        notification.style.fontSize = '13px';
+        notification.style.whiteSpace = 'pre-wrap';
+        notification.style.background = type === 'error' ? '#3a1f1f' : '#1a1a1a';
+        notification.style.border = `1px solid ${type === 'error' ? '#ff4444' : '#444'}`;
+        notification.style.color = type === 'error' ? '#ff8888' : '#e0e0e0';
+        notification.style.cursor = 'pointer';
+        notification.addEventListener('click', () => notification.remove());
+        document.body.appendChild(notification);
+        // Errors stay until clicked so they can be read
+        if (type !== 'error') {
+            setTimeout(() => notification.remove(), 3000);
+        }
+    }
+
+    setupPreviewOverlay() {
+        // The overlay canvas is now the main WebGL context
+        // Set up resize handler
+        const resizeOverlay = () => {
+            const dpr = window.devicePixelRatio || 1;
+            const rect = this.previewOverlay.getBoundingClientRect();
+            this.previewOverlay.width = rect.width * dpr;
+            this.previewOverlay.height = rect.height * dpr;
+            this.previewOverlay.style.width = `${rect.width}px`;
+            this.previewOverlay.style.height = `${rect.height}px`;
+            
+            const gl = this.webglManager.gl;
+            if (gl) {
+                gl.viewport(0, 0, this.previewOverlay.width, this.previewOverlay.height);
+            }
+        };
+        
+        resizeOverlay();
+        window.addEventListener('resize', resizeOverlay);
+    }
+
+    setupConnectionLine() {
+        const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        svg.setAttribute('class', 'connection-line');
+        svg.style.position = 'absolute';
+        svg.style.top = '0';
+        svg.style.left = '0';
+        // Make SVG extremely large to cover all possible node positions
+        svg.setAttribute('width', '50000');
+        svg.setAttribute('height', '50000');
+        svg.setAttribute('viewBox', '0 0 50000 50000');
+        svg.style.pointerEvents = 'none';
+        // Center the viewBox around the origin
+        svg.style.transform = 'translate(-25000px, -25000px)';
+        this.nodeContainer.appendChild(svg);
+
         const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
         path.setAttribute('stroke', '#4a9eff');
         path.setAttribute('stroke-width', '2');
@@ -485,6 +1556,7 @@ class App {
         this.graph.addNode(node);
         this.nodeContainer.appendChild(node.element);
         this.setupNodeEvents(node);
+        this.recordNodeCreation(node);
         this.saveState(); // Save after creating node
         return node;
     }
@@ -503,6 +1575,7 @@ class App {
         this.graph.addNode(node);
         this.nodeContainer.appendChild(node.element);
         this.setupNodeEvents(node);
+        this.recordNodeCreation(node);
         this.saveState(); // Save after creating node
         return node;
     }
@@ -523,6 +1596,7 @@ class App {
         this.nodeContainer.appendChild(node.element);
         this.setupNodeEvents(node);
         this.paletteNode = node;
+        this.recordNodeCreation(node);
         this.saveState();
         return node;
     }
@@ -559,12 +1633,22 @@ class App {
             if (e.target.closest('.monaco-editor-container')) return;
             if (e.target.closest('textarea')) return;
             if (e.target.closest('input')) return;
+            if (e.target.closest('select')) return;
+            if (e.target.closest('.shader-params')) return;
             // Don't start drag if clicking on editable title
             if (e.target.contentEditable === 'true') return;
             
+            // Space + drag pans even over nodes
+            if (this.spaceHeld) return;
+            
             // Drag from anywhere on node body (not just header)
             if (e.button === 0) { // Only left mouse button
-                this.startDrag(node, e);
+                if (e.shiftKey) {
+                    this.toggleNodeSelection(node);
+                    e.preventDefault();
+                } else {
+                    this.startDrag(node, e);
+                }
                 e.stopPropagation();
             }
         });
@@ -623,19 +1707,36 @@ class App {
         observer.observe(node.element, { childList: true, subtree: true });
     }
 
+    // Dragging a selected node moves the whole selection; any other node is selected on its own
     startDrag(node, e) {
+        if (!this.selectedNodes.has(node)) {
+            this.selectNode(node);
+        }
         this.dragging = true;
-        this.selectedNode = node;
         // Convert viewport coordinates to unscaled coordinate space
         const containerRect = this.nodeContainer.getBoundingClientRect();
         const unscaledX = (e.clientX - containerRect.left) / this.zoom;
         const unscaledY = (e.clientY - containerRect.top) / this.zoom;
-        this.dragOffset.x = unscaledX - node.particle.x;
-        this.dragOffset.y = unscaledY - node.particle.y;
-        node.element.classList.add('selected');
+        this.dragNodes = this.getSelectedNodes().map(selected => ({
+            node: selected,
+            offsetX: unscaledX - selected.particle.x,
+            offsetY: unscaledY - selected.particle.y,
+            startX: selected.particle.x,
+            startY: selected.particle.y
+        }));
         e.preventDefault();
     }
 
+    endDrag() {
+        this.dragging = false;
+        this.dragNodes.forEach(({ node }) => {
+            node.particle.vx = 0;
+            node.particle.vy = 0;
+        });
+        this.recordMove(this.dragNodes);
+        this.dragNodes = [];
+    }
+
     startConnection(node, port, e) {
         e.stopPropagation();
         e.preventDefault();
@@ -694,7 +1795,18 @@ class App {
         
         const toPort = parseInt(port.dataset.port.split('-')[1]);
         const edges = this.graph.getEdgesTo(node).filter(edge => edge.toPort === toPort);
+        if (edges.length === 0) return;
         
+        const edgeData = edges.map(edge => this.serializeEdge(edge));
+        this.history.record({
+            label: 'Delete connection',
+            undo: () => this.restoreEdges(edgeData),
+            redo: () => this.removeEdges(edgeData.map(data => this.findEdge(data)).filter(edge => edge))
+        });
+        this.removeEdges(edges);
+    }
+
+    removeEdges(edges) {
         for (const edge of edges) {
             this.graph.removeEdge(edge);
         }
@@ -702,14 +1814,90 @@ class App {
         this.connectionsNeedUpdate = true;
         this.updateConnections();
         
-        // Update shader node headers if it's a shader
-        if (node.type === 'shader') {
-            node.updateHeader(this.graph);
-        }
+        // Update shader node headers on both ends; source shaders declare their outputs by
+        // target buffer format
+        edges.forEach(edge => {
+            if (edge.to.type === 'shader') {
+                edge.to.updateHeader(this.graph);
+            }
+            if (edge.from.type === 'shader') {
+                edge.from.updateHeader(this.graph);
+            }
+        });
         
         this.saveState(); // Save after deleting connection
     }
 
+    // Re-add serialized edges between existing nodes
+    restoreEdges(edgeData) {
+        const edges = edgeData.map(data => this.addEdgeFromData(data, this.graph.nodeMap)).filter(edge => edge);
+        this.connectionsNeedUpdate = true;
+        this.updateConnections();
+        edges.forEach(edge => {
+            if (edge.to.type === 'shader') {
+                edge.to.updateHeader(this.graph);
+            }
+            if (edge.from.type === 'shader') {
+                edge.from.updateHeader(this.graph);
+            }
+        });
+        this.saveState();
+    }
+
+    promptLoopIterations(component) {
+        const input = prompt('Passes of this loop per step:', this.graph.getComponentIterations(component));
+        if (input === null) return;
+        const iterations = Number(input);
+        if (!Number.isInteger(iterations) || iterations < 1) {
+            this.showNotification('Loop iterations must be a whole number of at least 1', 'error');
+            return;
+        }
+        this.setLoopIterations(component.nodes.map(node => node.id), iterations);
+    }
+
+    // Set the pass count of the loop made of the given nodes; stored on each of them so it
+    // survives nodes joining or leaving the loop
+    setLoopIterations(ids, iterations) {
+        const before = ids.map(id => this.getNodeById(id).loopIterations);
+        ids.forEach(id => {
+            this.getNodeById(id).loopIterations = iterations;
+        });
+        this.history.record({
+            label: `Set loop iterations to ${iterations}`,
+            undo: () => ids.forEach((id, i) => {
+                this.getNodeById(id).loopIterations = before[i];
+            }),
+            redo: () => this.setLoopIterations(ids, iterations)
+        });
+        this.saveState();
+    }
+
+    // Mark or unmark an edge as the one its loop reads from the previous iteration
+    setEdgeFeedback(edgeData, feedback) {
+        const edge = this.findEdge(edgeData);
+        if (!edge) return;
+        if (feedback) {
+            edge.feedback = true;
+        } else {
+            delete edge.feedback;
+        }
+        this.graph.markTopologyChanged();
+        this.connectionsNeedUpdate = true;
+        this.history.record({
+            label: `${feedback ? 'Mark' : 'Unmark'} feedback connection`,
+            undo: () => this.setEdgeFeedback(edgeData, !feedback),
+            redo: () => this.setEdgeFeedback(edgeData, feedback)
+        });
+        this.saveState();
+    }
+
+    findEdge(edgeData) {
+        return this.graph.edges.find(edge =>
+            edge.from.id === edgeData.fromId && edge.fromPort === edgeData.fromPort &&
+            edge.to.id === edgeData.toId && edge.toPort === edgeData.toPort
+        ) || null;
+    }
+
     createConnection(fromNode, fromPort, toNode, toPort) {
         // Check if connection already exists
         const existing = this.graph.edges.find(edge =>
@@ -749,6 +1937,21 @@ class App {
         if (toNode.type === 'shader') {
             toNode.updateHeader(this.graph);
         }
+        if (fromNode.type === 'shader') {
+            fromNode.updateHeader(this.graph);
+        }
+        
+        const edgeData = this.serializeEdge(edge);
+        this.history.record({
+            label: 'Connect',
+            undo: () => {
+                const created = this.findEdge(edgeData);
+                if (created) {
+                    this.removeEdges([created]);
+                }
+            },
+            redo: () => this.restoreEdges([edgeData])
+        });
         
         this.saveState(); // Save after creating connection
         return edge;
@@ -762,7 +1965,8 @@ class App {
         const svg = this.connectionLine?.parentElement;
         if (!svg) return; // Connection line not initialized yet
         
-        // Draw connections
+        // Draw connections; feedback edges (reading the previous iteration) are dashed
+        const feedbackEdges = this.graph.getEvaluationPlan().feedbackEdges;
         for (const edge of this.graph.edges) {
             const fromPortType = edge.from.type === 'texture-buffer' ? 'output' : 'output';
             const fromPort = edge.from.element.querySelector(`[data-port="${fromPortType}-${edge.fromPort}"]`);
@@ -794,6 +1998,9 @@ class App {
             path.setAttribute('stroke-width', '2');
             path.setAttribute('fill', 'none');
             path.setAttribute('opacity', '0.25');
+            if (feedbackEdges.has(edge)) {
+                path.setAttribute('stroke-dasharray', '6,4');
+            }
             svg.appendChild(path);
 
             // Update port styles
@@ -818,6 +2025,12 @@ class App {
                 // Show context menu for canvas
                 this.showContextMenu(e.clientX, e.clientY);
             }
+        } else if (e.button === 1 || (e.button === 0 && this.spaceHeld)) { // Middle drag or space + drag
+            this.panning = true;
+            this.panStart.x = e.clientX;
+            this.panStart.y = e.clientY;
+            document.getElementById('app').style.cursor = 'grabbing';
+            e.preventDefault();
         } else if (e.button === 0) { // Left click
             // Check if clicking on background (not on a node or port)
             const clickedNode = this.nodes.find(node => {
@@ -827,23 +2040,73 @@ class App {
             });
             
             if (!clickedNode && !this.connectingFrom) {
-                // Unselect any selected nodes
-                this.selectedNode = null;
-                this.nodes.forEach(n => n.element.classList.remove('selected'));
-                // Start panning
-                this.panning = true;
-                this.panStart.x = e.clientX;
-                this.panStart.y = e.clientY;
-                document.getElementById('app').style.cursor = 'grabbing';
+                // Rubber-band selection; shift adds to the current selection
+                this.startSelectionBox(e);
                 e.preventDefault();
             } else if (!this.dragging) {
-                this.selectedNode = null;
-                this.nodes.forEach(n => n.element.classList.remove('selected'));
+                this.clearSelection();
             }
         }
     }
 
+    startSelectionBox(e) {
+        const element = document.createElement('div');
+        element.style.position = 'fixed';
+        element.style.border = '1px solid #4a9eff';
+        element.style.background = 'rgba(74, 158, 255, 0.1)';
+        element.style.pointerEvents = 'none';
+        element.style.zIndex = '999';
+        element.style.display = 'none';
+        document.body.appendChild(element);
+        this.selectionBox = { startX: e.clientX, startY: e.clientY, additive: e.shiftKey, element };
+    }
+
+    getSelectionBoxRect(e) {
+        const box = this.selectionBox;
+        return {
+            left: Math.min(box.startX, e.clientX),
+            top: Math.min(box.startY, e.clientY),
+            right: Math.max(box.startX, e.clientX),
+            bottom: Math.max(box.startY, e.clientY)
+        };
+    }
+
+    updateSelectionBox(e) {
+        const rect = this.getSelectionBoxRect(e);
+        const element = this.selectionBox.element;
+        element.style.display = 'block';
+        element.style.left = `${rect.left}px`;
+        element.style.top = `${rect.top}px`;
+        element.style.width = `${rect.right - rect.left}px`;
+        element.style.height = `${rect.bottom - rect.top}px`;
+    }
+
+    // Select every node touching the box; a click without dragging clears the selection
+    endSelectionBox(e) {
+        const box = this.selectionBox;
+        const rect = this.getSelectionBoxRect(e);
+        box.element.remove();
+        this.selectionBox = null;
+        
+        const dragged = rect.right - rect.left > 3 || rect.bottom - rect.top > 3;
+        const boxed = dragged ? this.nodes.filter(node => {
+            const nodeRect = node.element.getBoundingClientRect();
+            return nodeRect.left <= rect.right && nodeRect.right >= rect.left &&
+                   nodeRect.top <= rect.bottom && nodeRect.bottom >= rect.top;
+        }) : [];
+        
+        if (box.additive) {
+            this.setSelection([...this.selectedNodes, ...boxed]);
+        } else {
+            this.setSelection(boxed);
+        }
+    }
+
     onCanvasMouseMove(e) {
+        const pointerRect = this.nodeContainer.getBoundingClientRect();
+        this.pointer.x = (e.clientX - pointerRect.left) / this.zoom;
+        this.pointer.y = (e.clientY - pointerRect.top) / this.zoom;
+        
         // Update connection line during connection
         if (this.connectingFrom) {
             const fromPortType = this.connectingFrom.type === 'texture-buffer' ? 'output' : 'output';
@@ -891,27 +2154,33 @@ class App {
         }
 
         // Handle dragging
-        if (this.dragging && this.selectedNode) {
-            const node = this.selectedNode;
+        if (this.dragging) {
             // Convert viewport coordinates to unscaled coordinate space
             const containerRect = this.nodeContainer.getBoundingClientRect();
             const unscaledX = (e.clientX - containerRect.left) / this.zoom;
             const unscaledY = (e.clientY - containerRect.top) / this.zoom;
-            node.particle.x = unscaledX - this.dragOffset.x;
-            node.particle.y = unscaledY - this.dragOffset.y;
-            node.particle.vx = 0;
-            node.particle.vy = 0;
+            this.dragNodes.forEach(({ node, offsetX, offsetY }) => {
+                node.particle.x = unscaledX - offsetX;
+                node.particle.y = unscaledY - offsetY;
+                node.particle.vx = 0;
+                node.particle.vy = 0;
+            });
+        }
+        
+        if (this.selectionBox) {
+            this.updateSelectionBox(e);
         }
         
         // Update cursor style when hovering over background
-        if (!this.panning && !this.dragging && !this.connectingFrom) {
+        if (!this.panning && !this.dragging && !this.connectingFrom && !this.selectionBox) {
             const hoveredNode = this.nodes.find(node => {
                 const rect = node.element.getBoundingClientRect();
                 return e.clientX >= rect.left && e.clientX <= rect.right &&
                        e.clientY >= rect.top && e.clientY <= rect.bottom;
             });
             if (!hoveredNode) {
-                document.getElementById('app').style.cursor = 'grab';
+                // Background drags select; they pan with space held
+                document.getElementById('app').style.cursor = this.spaceHeld ? 'grab' : 'default';
             } else {
                 document.getElementById('app').style.cursor = '';
             }
@@ -957,12 +2226,11 @@ class App {
 
     onCanvasMouseUp(e) {
         if (this.dragging) {
-            this.dragging = false;
-            if (this.selectedNode) {
-                // Give the node a small velocity to help physics settle
-                this.selectedNode.particle.vx = 0;
-                this.selectedNode.particle.vy = 0;
-            }
+            this.endDrag();
+        }
+        
+        if (this.selectionBox) {
+            this.endSelectionBox(e);
         }
         
         if (this.panning) {
@@ -990,8 +2258,63 @@ class App {
         menu.style.minWidth = '150px';
 
         const items = [
+            { label: 'Duplicate', action: () => this.duplicateNodes(this.selectedNodes.has(node) ? this.getSelectedNodes() : [node]) },
             { label: 'Delete Node', action: () => this.removeNode(node) },
         ];
+        if (node.type === 'texture-buffer') {
+            items.push(this.mouseSourceNode === node
+                ? { label: 'Stop Using as Mouse Input', action: () => this.setMouseSource(null) }
+                : { label: 'Use as Mouse Input', action: () => this.setMouseSource(node) });
+        }
+        if (node.type !== 'palette') {
+            items.push({ label: 'Group', action: () => this.groupNodes(this.selectedNodes.has(node) ? this.getSelectedNodes() : [node]) });
+        }
+        // Inputs inside a loop can be chosen as the loop's feedback edge
+        const component = this.graph.getEvaluationPlan().components.find(c => c.nodes.includes(node));
+        if (component.cyclic) {
+            const passes = this.graph.getComponentIterations(component);
+            items.push({ label: `Loop Iterations (${passes})…`, action: () => this.promptLoopIterations(component) });
+        }
+        this.graph.getEdgesTo(node)
+            .filter(edge => component.cyclic && component.nodes.includes(edge.from))
+            .forEach(edge => {
+                const edgeData = this.serializeEdge(edge);
+                const label = `${edge.from.name || edge.from.id} → input ${edge.toPort}`;
+                items.push(edge.feedback
+                    ? { label: `Unmark Feedback: ${label}`, action: () => this.setEdgeFeedback(edgeData, false) }
+                    : { label: `Mark as Feedback: ${label}`, action: () => this.setEdgeFeedback(edgeData, true) });
+            });
+        if (node.type === 'texture-buffer') {
+            items.push({ label: 'Import Image…', action: () => this.openTextureImportPicker(node) });
+            items.push({ label: 'Stamp Pattern…', action: () => this.showPatternLibrary() });
+            // Right-clicking the preview offers a probe on that texel
+            const rect = node.previewCanvas.getBoundingClientRect();
+            if (x >= rect.left && x < rect.right && y >= rect.top && y < rect.bottom) {
+                const texel = node.getTexelIndex(node.getTexelPosition({ clientX: x, clientY: y }));
+                items.push({ label: `Add Probe at (${texel.x}, ${texel.y})`, action: () => this.inspector.addProbe(node, texel.x, texel.y) });
+            }
+            items.push(this.frameRecorders.has(node.id)
+                ? { label: 'Stop Recording Frames', action: () => this.finishFrameRecorder(node.id) }
+                : { label: 'Record Frames…', action: () => this.showFrameRecorderDialog(node) });
+            if (TextureFiles.canEncodePNG(node.format)) {
+                items.push({ label: 'Export PNG', action: () => this.exportTextureBuffer(node, 'png') });
+            }
+            items.push({ label: 'Export .npy', action: () => this.exportTextureBuffer(node, 'npy') });
+            if (TextureFiles.canEncodeText({ width: node.textureWidth, height: node.textureHeight })) {
+                items.push({ label: 'Export JSON', action: () => this.exportTextureBuffer(node, 'json') });
+                items.push({ label: 'Export CSV', action: () => this.exportTextureBuffer(node, 'csv') });
+            }
+        }
+        if (node.type === 'group') {
+            items.push({ label: 'Expand Group', action: () => this.expandGroup(node) });
+            items.push({ label: 'Export Group Asset', action: () => this.exportGroupAsset(node) });
+        }
+        if (node.type === 'shader') {
+            items.push({ label: 'Add Output', action: () => this.addShaderOutput(node) });
+            if (node.outputs.length > 1) {
+                items.push({ label: 'Remove Last Output', action: () => this.removeShaderOutput(node) });
+            }
+        }
 
         items.forEach(item => {
             const div = document.createElement('div');
@@ -1020,6 +2343,7 @@ class App {
     }
 
     showContextMenu(x, y) {
+        const position = { ...this.pointer }; // Where the menu was opened, in node coordinates
         const menu = document.createElement('div');
         menu.style.position = 'fixed';
         menu.style.left = `${x}px`;
@@ -1035,6 +2359,7 @@ class App {
             { label: 'Create Texture Buffer', action: () => this.createTextureBuffer(x, y) },
             { label: 'Create Shader Node', action: () => this.createShaderNode(x, y) },
             { label: 'Create Palette', action: () => this.createPaletteNode(x, y) },
+            { label: 'Insert Group Asset…', action: () => this.openGroupAssetPicker(position) },
         ];
 
         items.forEach(item => {
@@ -1063,21 +2388,1081 @@ class App {
         setTimeout(() => document.addEventListener('click', removeMenu), 0);
     }
 
-    selectNode(node) {
-        this.nodes.forEach(n => n.element.classList.remove('selected'));
-        node.element.classList.add('selected');
-        this.selectedNode = node;
-    }
-
-    onKeyDown(e) {
-        if (e.key === 'Delete' && this.selectedNode) {
-            this.removeNode(this.selectedNode);
+    // Choose the texture buffer whose preview drives the `mouse`/`mouseButtons` uniforms
+    setMouseSource(node) {
+        if (this.mouseSourceNode) {
+            this.mouseSourceNode.element.classList.remove('mouse-source');
         }
+        this.mouseSourceNode = node;
+        this.mouse.buttons = 0;
+        if (node) {
+            node.element.classList.add('mouse-source');
+        }
+        this.saveState();
     }
 
-    removeNode(node) {
-        const index = this.nodes.indexOf(node);
+    addShaderOutput(node) {
+        node.addOutput(`output${node.outputs.length}`);
+        this.connectionsNeedUpdate = true;
+        this.updateConnections();
+        this.saveState();
+    }
+
+    removeShaderOutput(node) {
+        const port = node.outputs.length - 1;
+        const affectedShaders = new Set();
+        for (const edge of this.graph.getEdgesFrom(node, port)) {
+            if (edge.to.type === 'shader') {
+                affectedShaders.add(edge.to);
+            }
+            this.graph.removeEdge(edge);
+        }
+        node.removeOutput();
+        affectedShaders.forEach(shaderNode => shaderNode.updateHeader(this.graph));
+        this.connectionsNeedUpdate = true;
+        this.updateConnections();
+        this.saveState();
+    }
+
+    selectNode(node) {
+        this.setSelection([node]);
+    }
+
+    setSelection(nodes) {
+        this.selectedNodes = new Set(nodes);
+        this.updateSelectionHighlight();
+    }
+
+    toggleNodeSelection(node) {
+        if (this.selectedNodes.has(node)) {
+            this.selectedNodes.delete(node);
+        } else {
+            this.selectedNodes.add(node);
+        }
+        this.updateSelectionHighlight();
+    }
+
+    clearSelection() {
+        this.setSelection([]);
+    }
+
+    updateSelectionHighlight() {
+        this.nodes.forEach(n => n.element.classList.toggle('selected', this.selectedNodes.has(n)));
+    }
+
+    onKeyDown(e) {
+        if ((e.ctrlKey || e.metaKey) && (e.key === 's' || e.key === 'o')) {
+            e.preventDefault();
+            if (e.key === 's') {
+                this.saveProject();
+            } else {
+                this.openProjectPicker();
+            }
+            return;
+        }
+        // Text fields and the code editor keep their own undo and delete keys
+        const editingText = this.isEditingText(e.target);
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'd' && !editingText) {
+            e.preventDefault();
+            this.duplicateNodes(this.getSelectedNodes());
+            return;
+        }
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'g' && !editingText) {
+            e.preventDefault();
+            if (e.shiftKey) {
+                this.getSelectedNodes().filter(node => node.type === 'group').forEach(group => this.expandGroup(group));
+            } else {
+                this.groupNodes(this.getSelectedNodes());
+            }
+            return;
+        }
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z' && !editingText) {
+            e.preventDefault();
+            if (e.shiftKey) {
+                this.redo();
+            } else {
+                this.undo();
+            }
+            return;
+        }
+        // Space still activates a focused button
+        if (e.key === ' ' && !editingText && !(e.target.closest && e.target.closest('button, a, [role="button"]'))) {
+            this.spaceHeld = true;
+            e.preventDefault();
+            return;
+        }
+        if (e.key === 'Escape' && !editingText) {
+            this.clearSelection();
+            return;
+        }
+        if (e.key === 'Delete' && this.selectedNodes.size > 0 && !editingText) {
+            this.removeNodes(this.getSelectedNodes());
+        }
+    }
+
+    isEditingText(target) {
+        return !!(target && target.closest &&
+            target.closest('input, textarea, select, [contenteditable="true"], .monaco-editor'));
+    }
+
+    getSelectedNodes() {
+        return this.nodes.filter(node => this.selectedNodes.has(node));
+    }
+
+    // Selected nodes and the edges between them, in the project schema
+    serializeNodes(nodes) {
+        const ids = new Set(nodes.map(node => node.id));
+        return {
+            format: CLIPBOARD_FORMAT,
+            version: PROJECT_SCHEMA_VERSION,
+            nodes: nodes.map(node => this.serializeNode(node)),
+            edges: this.graph.edges
+                .filter(edge => ids.has(edge.from.id) && ids.has(edge.to.id))
+                .map(edge => this.serializeEdge(edge))
+        };
+    }
+
+    onCopy(e) {
+        if (this.isEditingText(e.target)) return;
+        const nodes = this.getSelectedNodes();
+        if (nodes.length === 0) return;
+        e.clipboardData.setData('text/plain', JSON.stringify(this.serializeNodes(nodes), null, 2));
+        e.preventDefault();
+    }
+
+    onPaste(e) {
+        if (this.isEditingText(e.target)) return;
+        const text = e.clipboardData.getData('text/plain');
+        let clip;
+        try {
+            clip = JSON.parse(text);
+        } catch (error) {
+            return; // Not ours
+        }
+        if (!clip || clip.format !== CLIPBOARD_FORMAT) return;
+        e.preventDefault();
+        
+        try {
+            clip = this.prepareState(clip);
+        } catch (error) {
+            console.error('Error pasting nodes:', error);
+            this.showNotification(`Could not paste nodes: ${error.message}`, 'error');
+            return;
+        }
+        this.pasteNodes(clip, this.pointer);
+    }
+
+    duplicateNodes(nodes) {
+        if (nodes.length === 0) return;
+        const clip = JSON.parse(JSON.stringify(this.serializeNodes(nodes)));
+        const centerX = nodes.reduce((sum, node) => sum + node.particle.x, 0) / nodes.length;
+        const centerY = nodes.reduce((sum, node) => sum + node.particle.y, 0) / nodes.length;
+        this.pasteNodes(clip, { x: centerX + 40, y: centerY + 40 });
+    }
+
+    // Add copies of serialized nodes centered on `position`, with fresh ids and names.
+    // Edges between the copied nodes are recreated between the copies.
+    pasteNodes(clip, position) {
+        const nodeData = clip.nodes.filter(data => data.type !== 'palette' || !this.paletteNode);
+        if (nodeData.length === 0) return [];
+        
+        const centerX = nodeData.reduce((sum, data) => sum + data.x, 0) / nodeData.length;
+        const centerY = nodeData.reduce((sum, data) => sum + data.y, 0) / nodeData.length;
+        const copied = this.copyGraphData(nodeData, clip.edges);
+        const nodes = copied.nodes.map(copy => this.createNodeFromData({
+            ...copy,
+            x: copy.x - centerX + position.x,
+            y: copy.y - centerY + position.y
+        }));
+        this.restoreEdges(copied.edges);
+        
+        const ids = nodes.map(node => node.id);
+        let capture = null;
+        this.history.record({
+            label: nodes.length === 1 ? `Paste ${nodes[0].name || nodes[0].type}` : `Paste ${nodes.length} nodes`,
+            undo: () => {
+                const pasted = ids.map(id => this.getNodeById(id));
+                capture = this.captureNodes(pasted);
+                pasted.forEach(node => this.removeNode(node));
+            },
+            redo: () => this.restoreCapture(capture)
+        });
+        
+        this.setSelection(nodes);
+        this.saveState();
+        // Asset files carry buffer contents
+        if (this.getAllNodeData(copied.nodes).some(data => data.contents)) {
+            this.importTextureContents({ nodes: copied.nodes });
+        }
+        return nodes;
+    }
+
+    // Copy serialized nodes with fresh ids and names, remapping the edges between them. Shader
+    // code naming a copied buffer is updated to the copy's name. Groups are copied recursively and
+    // keep their names; their input names are what their inner code reads, so they don't change.
+    copyGraphData(nodes, edges) {
+        const idMap = new Map();
+        const renames = new Map();
+        const copies = nodes.map(data => {
+            const copy = { ...data };
+            if (data.type === 'texture-buffer') {
+                copy.id = `texture-${this.nodeIdCounter++}`;
+                copy.name = `tex_${this.textureBufferCounter++}`;
+                if (data.name) {
+                    renames.set(data.name, copy.name);
+                }
+            } else if (data.type === 'shader') {
+                copy.id = `shader-${this.nodeIdCounter++}`;
+                copy.name = `shad_${this.shaderCounter++}`;
+            } else if (data.type === 'group') {
+                copy.id = `group-${this.nodeIdCounter++}`;
+                const inner = this.copyGraphData(data.graph.nodes, data.graph.edges);
+                copy.graph = { nodes: inner.nodes, edges: inner.edges };
+                const remapPort = port => ({ ...port, nodeId: inner.idMap.get(port.nodeId) });
+                copy.inputs = data.inputs.map(remapPort);
+                copy.outputs = data.outputs.map(remapPort);
+            } else {
+                copy.id = `palette-${this.nodeIdCounter++}`;
+            }
+            idMap.set(data.id, copy.id);
+            return copy;
+        });
+        
+        if (renames.size > 0) {
+            const pattern = new RegExp(`\\b(${Array.from(renames.keys()).join('|')})\\b`, 'g');
+            copies.forEach(copy => {
+                if (copy.type === 'shader' && copy.code) {
+                    copy.code = copy.code.replace(pattern, name => renames.get(name));
+                }
+            });
+        }
+        
+        return {
+            nodes: copies,
+            edges: edges
+                .filter(edge => idMap.has(edge.fromId) && idMap.has(edge.toId))
+                .map(edge => ({ ...edge, fromId: idMap.get(edge.fromId), toId: idMap.get(edge.toId) })),
+            idMap
+        };
+    }
+
+    // Collapse nodes into a group node at their center. Edges between them move into the group;
+    // each inner port used by an edge crossing the boundary gets a group port. Undo/redo pass
+    // `options` ({ id, name, inputs, outputs }) to rebuild the same group.
+    groupNodes(nodes, options = {}) {
+        nodes = nodes.filter(node => node.type !== 'palette');
+        if (nodes.length === 0) return null;
+        
+        const members = new Set(nodes);
+        const internal = [];
+        const crossing = [];
+        for (const edge of this.graph.edges) {
+            if (members.has(edge.from) && members.has(edge.to)) {
+                internal.push(edge);
+            } else if (members.has(edge.from) || members.has(edge.to)) {
+                crossing.push(edge);
+            }
+        }
+        
+        const inputs = (options.inputs || []).map(port => ({ ...port }));
+        const outputs = (options.outputs || []).map(port => ({ ...port }));
+        const portIndex = (ports, node, port, name) => {
+            let index = ports.findIndex(p => p.nodeId === node.id && p.port === port);
+            if (index === -1) {
+                index = ports.push({ name, nodeId: node.id, port }) - 1;
+            }
+            return index;
+        };
+        
+        const x = nodes.reduce((sum, node) => sum + node.particle.x, 0) / nodes.length;
+        const y = nodes.reduce((sum, node) => sum + node.particle.y, 0) / nodes.length;
+        const group = new GroupNode(
+            options.id || `group-${this.nodeIdCounter++}`,
+            x, y,
+            this.physics,
+            options.name || `group_${this.groupCounter++}`
+        );
+        
+        // Edges into the group keep the uniform name the inner shader reads them by
+        const rewired = crossing.map(edge => {
+            const data = this.serializeEdge(edge);
+            if (members.has(edge.to)) {
+                const name = edge.to.type === 'shader' ? edge.to.getInputName(edge) : edge.from.name;
+                data.toId = group.id;
+                data.toPort = portIndex(inputs, edge.to, edge.toPort, name);
+            } else {
+                const name = edge.from.type === 'shader' && edge.fromPort > 0
+                    ? `${edge.from.name}.${edge.from.getOutputName(edge.fromPort)}`
+                    : edge.from.name;
+                data.fromId = group.id;
+                data.fromPort = portIndex(outputs, edge.from, edge.fromPort, name);
+            }
+            return data;
+        });
+        
+        if (members.has(this.mouseSourceNode)) {
+            this.setMouseSource(null);
+        }
+        for (const node of nodes) {
+            this.nodes.splice(this.nodes.indexOf(node), 1);
+            this.graph.removeNode(node);
+            this.selectedNodes.delete(node);
+            group.addInnerNode(node);
+        }
+        internal.forEach(edge => {
+            const inner = group.innerGraph.addEdge(edge.from, edge.fromPort, edge.to, edge.toPort);
+            if (edge.feedback) {
+                inner.feedback = true;
+            }
+        });
+        group.setPorts(inputs, outputs);
+        
+        this.attachNode(group);
+        this.setupNodeEvents(group);
+        this.restoreEdges(rewired);
+        
+        const ids = nodes.map(node => node.id);
+        const groupOptions = { id: group.id, name: group.name, inputs: group.inputs, outputs: group.outputs };
+        this.history.record({
+            label: `Group ${nodes.length} node${nodes.length === 1 ? '' : 's'}`,
+            undo: () => this.expandGroup(this.getNodeById(group.id)),
+            redo: () => this.groupNodes(ids.map(id => this.getNodeById(id)), groupOptions)
+        });
+        
+        this.setSelection([group]);
+        this.saveState();
+        return group;
+    }
+
+    // Put a group's nodes back on the canvas around the group's position, reconnecting edges on
+    // its ports to the inner ports they stand for
+    expandGroup(group) {
+        const inner = group.innerGraph.nodes.slice();
+        if (inner.length === 0) {
+            this.removeNode(group);
+            return [];
+        }
+        const internal = group.innerGraph.edges.filter(edge => !edge.boundary).map(edge => this.serializeEdge(edge));
+        const rewired = [];
+        for (const edge of this.graph.edges) {
+            if (edge.from !== group && edge.to !== group) continue;
+            const data = this.serializeEdge(edge);
+            const input = edge.to === group ? group.inputs[edge.toPort] : null;
+            const output = edge.from === group ? group.outputs[edge.fromPort] : null;
+            if (input) {
+                data.toId = input.nodeId;
+                data.toPort = input.port;
+            }
+            if (output) {
+                data.fromId = output.nodeId;
+                data.fromPort = output.port;
+            }
+            // Edges on ports the group doesn't have are dropped
+            if ((edge.to !== group || input) && (edge.from !== group || output)) {
+                rewired.push(data);
+            }
+        }
+        
+        const centerX = inner.reduce((sum, node) => sum + node.particle.x, 0) / inner.length;
+        const centerY = inner.reduce((sum, node) => sum + node.particle.y, 0) / inner.length;
+        const groupOptions = { id: group.id, name: group.name, inputs: group.inputs, outputs: group.outputs };
+        
+        this.history.runWithoutRecording(() => {
+            inner.forEach(node => group.releaseInnerNode(node));
+            this.removeNode(group);
+            inner.forEach(node => {
+                node.particle.x += group.particle.x - centerX;
+                node.particle.y += group.particle.y - centerY;
+                this.attachNode(node);
+                node.updatePosition();
+            });
+            this.restoreEdges([...internal, ...rewired]);
+        });
+        
+        const ids = inner.map(node => node.id);
+        this.history.record({
+            label: `Expand ${group.name}`,
+            undo: () => this.groupNodes(ids.map(id => this.getNodeById(id)), groupOptions),
+            redo: () => this.expandGroup(this.getNodeById(group.id))
+        });
+        
+        this.setSelection(inner);
+        this.saveState();
+        return inner;
+    }
+
+    // Download a texture buffer's current contents; `type` is 'png', 'npy', 'json' or 'csv'
+    async exportTextureBuffer(node, type) {
+        try {
+            const contents = node.getContents();
+            let blob;
+            switch (type) {
+                case 'png': blob = await TextureFiles.encodePNG(contents); break;
+                case 'npy': blob = TextureFiles.encodeNPY(contents); break;
+                case 'json': blob = TextureFiles.encodeJSON(contents); break;
+                case 'csv': blob = TextureFiles.encodeCSV(contents); break;
+                default: throw new Error(`Unknown export type: ${type}`);
+            }
+            this.downloadBlob(blob, `${node.name.replace(/[^\w-]+/g, '_')}.${type}`);
+        } catch (error) {
+            console.error('Error exporting texture buffer:', error);
+            this.showNotification(`Export failed: ${error.message}`, 'error');
+        }
+    }
+
+    openTextureImportPicker(node) {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.png,.jpg,.jpeg,.npy,image/png,image/jpeg';
+        input.addEventListener('change', () => {
+            if (input.files[0]) {
+                this.importTextureFile(node, input.files[0]);
+            }
+        });
+        input.click();
+    }
+
+    // Decode a PNG, JPEG or .npy file and ask how to load it into a texture buffer. RLE and
+    // .cells automaton patterns start stamping instead.
+    async importTextureFile(node, file) {
+        if (/\.(rle|cells)$/i.test(file.name)) {
+            this.openPatternFile(file);
+            return;
+        }
+        let source;
+        try {
+            source = await TextureFiles.decodeFile(file);
+        } catch (error) {
+            console.error('Error reading image:', error);
+            this.showNotification(`Could not read ${file.name}: ${error.message}`, 'error');
+            return;
+        }
+        this.showTextureImportDialog(node, source, file.name);
+    }
+
+    // Fixed panel for small forms such as import options. Returns the panel (not yet attached) and
+    // helpers to add labelled rows and buttons to it.
+    createFormPanel(titleText) {
+        const panel = document.createElement('div');
+        panel.style.position = 'fixed';
+        panel.style.left = '50%';
+        panel.style.top = '50%';
+        panel.style.transform = 'translate(-50%, -50%)';
+        panel.style.zIndex = '1001';
+        panel.style.display = 'flex';
+        panel.style.flexDirection = 'column';
+        panel.style.gap = '8px';
+        panel.style.padding = '12px';
+        panel.style.minWidth = '260px';
+        panel.style.background = '#1a1a1a';
+        panel.style.border = '1px solid #444';
+        panel.style.borderRadius = '4px';
+        panel.style.color = '#e0e0e0';
+        panel.style.fontSize = '13px';
+
+        const title = document.createElement('div');
+        title.textContent = titleText;
+        title.style.fontWeight = 'bold';
+        panel.appendChild(title);
+
+        const buttons = document.createElement('div');
+        buttons.style.display = 'flex';
+        buttons.style.justifyContent = 'flex-end';
+        buttons.style.gap = '6px';
+        panel.appendChild(buttons);
+
+        const styleControl = (control) => {
+            control.style.padding = '4px';
+            control.style.background = '#0f0f0f';
+            control.style.border = '1px solid #444';
+            control.style.borderRadius = '4px';
+            control.style.color = '#e0e0e0';
+            return control;
+        };
+        const createSelect = (options, value) => {
+            const select = document.createElement('select');
+            options.forEach(([optionValue, label]) => {
+                const option = document.createElement('option');
+                option.value = String(optionValue);
+                option.textContent = label;
+                select.appendChild(option);
+            });
+            select.value = String(value);
+            return styleControl(select);
+        };
+        const createInput = (value, step = '1') => {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.step = step;
+            input.value = String(value);
+            input.style.width = '64px';
+            return styleControl(input);
+        };
+        const addRow = (label, control) => {
+            const row = document.createElement('label');
+            row.style.display = 'flex';
+            row.style.justifyContent = 'space-between';
+            row.style.alignItems = 'center';
+            row.style.gap = '12px';
+            row.append(label, control);
+            panel.insertBefore(row, buttons);
+            return row;
+        };
+
+        const addButton = (label, onClick) => {
+            const button = document.createElement('button');
+            button.textContent = label;
+            button.style.padding = '6px 10px';
+            button.style.background = '#2a2a2a';
+            button.style.border = '1px solid #555';
+            button.style.borderRadius = '4px';
+            button.style.color = '#e0e0e0';
+            button.style.cursor = 'pointer';
+            button.addEventListener('click', onClick);
+            buttons.appendChild(button);
+            return button;
+        };
+
+        return { panel, title, createSelect, createInput, addRow, addButton };
+    }
+
+    showTextureImportDialog(node, source, filename) {
+        const info = this.webglManager.getTextureFormatInfo(node.format);
+        const { panel, createSelect, createInput, addRow, addButton } = this.createFormPanel(
+            `Import ${filename} (${source.width}×${source.height}) into ${node.name} (${node.textureWidth}×${node.textureHeight})`);
+
+        const modeSelect = createSelect([
+            ['resize', 'Resize buffer to image'],
+            ['fit', 'Fit (keep aspect ratio)'],
+            ['crop', 'Crop (1:1, centered)'],
+            ['stretch', 'Stretch']
+        ], 'fit');
+        addRow('Size', modeSelect);
+
+        // Each buffer channel loads a source channel, luma, a constant, or keeps its value
+        const sourceChannels = Array.from({ length: source.channels }, (_, c) =>
+            [c, source.channels === 1 ? 'Value' : TEXTURE_CHANNEL_NAMES[c].toUpperCase()]);
+        const channelOptions = [
+            ...sourceChannels,
+            ...(source.channels >= 3 ? [['luma', 'Luma']] : []),
+            ['zero', '0'], ['one', '1'], ['keep', 'Keep']
+        ];
+        const channelSelects = TEXTURE_CHANNEL_NAMES.slice(0, info.channels).map((name, c) => {
+            const fallback = c === 3 ? 'one' : (source.channels === 1 ? 0 : 'zero');
+            const select = createSelect(channelOptions, c < source.channels ? c : fallback);
+            addRow(`Channel ${name.toUpperCase()}`, select);
+            return select;
+        });
+
+        const thresholdCheckbox = document.createElement('input');
+        thresholdCheckbox.type = 'checkbox';
+        const thresholdInput = createInput(0.5, '0.05');
+        const thresholdControls = document.createElement('span');
+        thresholdControls.append(thresholdCheckbox, ' ', thresholdInput);
+        addRow('Threshold to 0/1', thresholdControls);
+
+        addButton('Cancel', () => panel.remove());
+        addButton('Import', () => {
+            const threshold = thresholdCheckbox.checked ? Number(thresholdInput.value) : null;
+            if (threshold !== null && !Number.isFinite(threshold)) {
+                this.showNotification('Enter a threshold value', 'error');
+                return;
+            }
+            panel.remove();
+            this.importIntoTextureBuffer(node, source, {
+                mode: modeSelect.value,
+                channels: channelSelects.map(select => /^\d+$/.test(select.value) ? Number(select.value) : select.value),
+                threshold
+            });
+        });
+        panel.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') panel.remove();
+        });
+
+        document.body.appendChild(panel);
+        modeSelect.focus();
+    }
+
+    // Searchable list of the built-in patterns, plus opening or pasting RLE and .cells patterns
+    showPatternLibrary() {
+        const { panel, addRow, addButton } = this.createFormPanel('Pattern Library');
+        const search = document.createElement('input');
+        search.type = 'search';
+        search.placeholder = 'Search';
+        search.style.padding = '4px';
+        search.style.background = '#0f0f0f';
+        search.style.border = '1px solid #444';
+        search.style.borderRadius = '4px';
+        search.style.color = '#e0e0e0';
+        addRow('Find', search);
+
+        const list = document.createElement('div');
+        list.style.maxHeight = '260px';
+        list.style.overflowY = 'auto';
+        list.style.border = '1px solid #333';
+        list.style.borderRadius = '4px';
+        panel.insertBefore(list, search.parentElement.nextSibling);
+        const renderList = () => {
+            const query = search.value.trim().toLowerCase();
+            list.innerHTML = '';
+            CELL_PATTERN_LIBRARY
+                .filter(entry => `${entry.name} ${entry.category}`.toLowerCase().includes(query))
+                .forEach(entry => {
+                    const item = document.createElement('div');
+                    item.textContent = `${entry.name} — ${entry.category}`;
+                    item.style.padding = '6px 10px';
+                    item.style.cursor = 'pointer';
+                    item.addEventListener('mouseenter', () => item.style.background = '#2a2a2a');
+                    item.addEventListener('mouseleave', () => item.style.background = 'transparent');
+                    item.addEventListener('click', () => {
+                        panel.remove();
+                        this.startStamp(CellPatterns.parseRLE(entry.rle, entry.name));
+                    });
+                    list.appendChild(item);
+                });
+        };
+        search.addEventListener('input', renderList);
+        renderList();
+
+        const pasted = document.createElement('textarea');
+        pasted.placeholder = 'Paste RLE or .cells text';
+        pasted.rows = 4;
+        pasted.style.background = '#0f0f0f';
+        pasted.style.border = '1px solid #444';
+        pasted.style.borderRadius = '4px';
+        pasted.style.color = '#e0e0e0';
+        pasted.style.fontFamily = 'monospace';
+        panel.insertBefore(pasted, list.nextSibling);
+
+        addButton('Close', () => panel.remove());
+        addButton('Open File…', () => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = '.rle,.cells,.txt';
+            input.addEventListener('change', () => {
+                if (input.files[0]) {
+                    panel.remove();
+                    this.openPatternFile(input.files[0]);
+                }
+            });
+            input.click();
+        });
+        addButton('Use Pasted', () => {
+            try {
+                const pattern = CellPatterns.parse(pasted.value);
+                panel.remove();
+                this.startStamp(pattern);
+            } catch (error) {
+                this.showNotification(`Could not read the pattern: ${error.message}`, 'error');
+            }
+        });
+        panel.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') panel.remove();
+        });
+
+        document.body.appendChild(panel);
+        search.focus();
+    }
+
+    async openPatternFile(file) {
+        try {
+            this.startStamp(CellPatterns.parse(await file.text(), file.name.replace(/\.\w+$/, '')));
+        } catch (error) {
+            console.error('Error reading pattern:', error);
+            this.showNotification(`Could not read ${file.name}: ${error.message}`, 'error');
+        }
+    }
+
+    // Stamp mode: a ghost of the pattern follows the pointer over texture buffer previews and each
+    // click stamps it. R rotates (Shift+R the other way), F and V flip, Esc or right-click finishes.
+    startStamp(pattern) {
+        this.endStamp();
+        const ghost = document.createElement('canvas');
+        ghost.style.position = 'fixed';
+        ghost.style.zIndex = '1000';
+        ghost.style.pointerEvents = 'none';
+        ghost.style.imageRendering = 'pixelated';
+        ghost.style.outline = '1px dashed #4a9eff';
+        ghost.style.display = 'none';
+        document.body.appendChild(ghost);
+
+        const stamp = { pattern, rotation: 0, flipX: false, flipY: false, ghost, transformed: null, lastEvent: null };
+        const bufferAt = (target) => this.nodes.find(node =>
+            node.type === 'texture-buffer' && node.previewCanvas === target && !node.isMouseSource());
+        const onMouseMove = (e) => {
+            stamp.lastEvent = e;
+            this.updateStampGhost();
+        };
+        const onMouseDown = (e) => {
+            // Right-click finishes in the contextmenu event that follows
+            if (e.button === 2) {
+                e.preventDefault();
+                e.stopPropagation();
+                return;
+            }
+            const node = bufferAt(e.target);
+            if (e.button === 0 && node) {
+                e.preventDefault();
+                e.stopPropagation();
+                node.stampPattern(stamp.transformed, node.getTexelIndex(node.getTexelPosition(e)));
+            }
+        };
+        const onContextMenu = (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.endStamp();
+        };
+        const onKeyDown = (e) => {
+            if (this.isEditingText(e.target)) return;
+            const key = e.key.toLowerCase();
+            if (key === 'escape') {
+                this.endStamp();
+            } else if (key === 'r') {
+                stamp.rotation += e.shiftKey ? 3 : 1;
+            } else if (key === 'f') {
+                stamp.flipX = !stamp.flipX;
+            } else if (key === 'v') {
+                stamp.flipY = !stamp.flipY;
+            } else {
+                return;
+            }
+            e.preventDefault();
+            e.stopPropagation();
+            if (this.stamp) {
+                this.updateStampPattern();
+            }
+        };
+        stamp.listeners = { mousemove: onMouseMove, mousedown: onMouseDown, contextmenu: onContextMenu, keydown: onKeyDown };
+        Object.entries(stamp.listeners).forEach(([type, listener]) => document.addEventListener(type, listener, true));
+        stamp.bufferAt = bufferAt;
+        this.stamp = stamp;
+        this.updateStampPattern();
+        this.showNotification(`Click a texture buffer to stamp ${pattern.name} (${pattern.width}×${pattern.height}) · R rotate · F/V flip · Esc to finish`);
+    }
+
+    endStamp() {
+        if (!this.stamp) return;
+        Object.entries(this.stamp.listeners).forEach(([type, listener]) => document.removeEventListener(type, listener, true));
+        this.stamp.ghost.remove();
+        this.stamp = null;
+    }
+
+    // Apply the current rotation and flips and redraw the ghost's cells
+    updateStampPattern() {
+        const stamp = this.stamp;
+        const pattern = CellPatterns.transform(stamp.pattern, stamp);
+        stamp.transformed = pattern;
+        stamp.ghost.width = pattern.width;
+        stamp.ghost.height = pattern.height;
+        const context = stamp.ghost.getContext('2d');
+        const image = context.createImageData(pattern.width, pattern.height);
+        for (let i = 0; i < pattern.cells.length; i++) {
+            if (pattern.cells[i]) {
+                image.data.set([74, 158, 255, 200], i * 4);
+            }
+        }
+        context.putImageData(image, 0, 0);
+        this.updateStampGhost();
+    }
+
+    // Place the ghost over the texels the pattern would cover, matching stampPattern's centering
+    updateStampGhost() {
+        const { ghost, transformed: pattern, lastEvent } = this.stamp;
+        const node = lastEvent && this.stamp.bufferAt(lastEvent.target);
+        if (!node) {
+            ghost.style.display = 'none';
+            return;
+        }
+        const rect = node.previewCanvas.getBoundingClientRect();
+        const texelWidth = rect.width / node.textureWidth;
+        const texelHeight = rect.height / node.textureHeight;
+        const center = node.getTexelIndex(node.getTexelPosition(lastEvent));
+        const left = center.x - Math.floor(pattern.width / 2);
+        const top = center.y + Math.floor(pattern.height / 2);
+        ghost.style.display = 'block';
+        ghost.style.left = `${rect.left + left * texelWidth}px`;
+        ghost.style.top = `${rect.top + (node.textureHeight - 1 - top) * texelHeight}px`;
+        ghost.style.width = `${pattern.width * texelWidth}px`;
+        ghost.style.height = `${pattern.height * texelHeight}px`;
+    }
+
+    // Load decoded file data into a buffer as one undoable edit; options as in TextureFiles.importContents
+    // plus mode 'resize', which resizes the buffer to the source first
+    importIntoTextureBuffer(node, source, options) {
+        const resize = options.mode === 'resize';
+        const width = resize ? source.width : node.textureWidth;
+        const height = resize ? source.height : node.textureHeight;
+        const maxSize = this.webglManager.gl.getParameter(this.webglManager.gl.MAX_TEXTURE_SIZE);
+        if (width > maxSize || height > maxSize) {
+            this.showNotification(`Textures can be at most ${maxSize}×${maxSize}`, 'error');
+            return;
+        }
+
+        const before = node.getContents();
+        const contents = TextureFiles.importContents(source, node.format, width, height, {
+            ...options,
+            mode: resize ? 'stretch' : options.mode,
+            base: resize && (width !== before.width || height !== before.height) ? null : before
+        });
+        if (width !== node.textureWidth || height !== node.textureHeight) {
+            node.resize(width, height);
+        }
+        node.setContents(contents);
+        node.saveContents();
+        this.recordPixelEdit(node, 'Import into', before);
+        this.saveState();
+    }
+
+    // Download a group, with its kept buffer contents, as an asset other projects can insert
+    async exportGroupAsset(group) {
+        const asset = {
+            format: GROUP_ASSET_FORMAT,
+            version: PROJECT_SCHEMA_VERSION,
+            node: this.serializeNode(group)
+        };
+        await this.embedTextureContents([asset.node]);
+        this.downloadJSON(asset, `${group.name.replace(/[^\w-]+/g, '_')}.json`);
+    }
+
+    openGroupAssetPicker(position) {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+        input.addEventListener('change', () => {
+            if (input.files.length > 0) {
+                this.insertGroupAsset(input.files[0], position);
+            }
+        });
+        input.click();
+    }
+
+    // Paste a group asset file at `position` (node coordinates)
+    async insertGroupAsset(file, position) {
+        let clip;
+        try {
+            const text = await file.text();
+            let asset;
+            try {
+                asset = JSON.parse(text);
+            } catch (parseError) {
+                throw new Error(`Not a valid JSON file (${parseError.message})`);
+            }
+            if (!asset || asset.format !== GROUP_ASSET_FORMAT || !asset.node || asset.node.type !== 'group') {
+                throw new Error('Not a group asset');
+            }
+            clip = this.prepareState({ version: asset.version, nodes: [asset.node], edges: [] });
+        } catch (error) {
+            console.error('Error inserting group asset:', error);
+            this.showNotification(`Could not insert ${file.name}: ${error.message}`, 'error');
+            return;
+        }
+        
+        const [group] = this.pasteNodes(clip, position);
+        this.showNotification(`Inserted ${group.name}`);
+    }
+
+    undo() {
+        if (this.history.undo()) {
+            this.saveState();
+        }
+    }
+
+    redo() {
+        if (this.history.redo()) {
+            this.saveState();
+        }
+    }
+
+    // Everything needed to recreate a set of nodes: their data, pixels and every edge touching them
+    captureNodes(nodes) {
+        const ids = new Set(nodes.map(node => node.id));
+        return {
+            nodes: nodes.map(node => ({
+                data: JSON.parse(JSON.stringify(this.serializeNode(node))),
+                // Pixels of the node, or of every buffer inside a group
+                contents: this.getAllNodes([node])
+                    .filter(buffer => buffer.type === 'texture-buffer')
+                    .map(buffer => ({ id: buffer.id, contents: buffer.getContents() })),
+                mouseSource: this.mouseSourceNode === node
+            })),
+            edges: this.graph.edges
+                .filter(edge => ids.has(edge.from.id) || ids.has(edge.to.id))
+                .map(edge => this.serializeEdge(edge))
+        };
+    }
+
+    getCaptureBytes(capture) {
+        return capture.nodes.reduce((total, entry) =>
+            entry.contents.reduce((sum, buffer) => sum + buffer.contents.data.byteLength, total), 0);
+    }
+
+    restoreCapture(capture) {
+        const nodes = capture.nodes.map(entry => {
+            const node = this.createNodeFromData(entry.data);
+            const buffers = new Map(this.getAllNodes([node]).map(inner => [inner.id, inner]));
+            entry.contents.forEach(({ id, contents }) => {
+                const buffer = buffers.get(id);
+                buffer.setContents(contents);
+                buffer.saveContents();
+            });
+            if (entry.mouseSource) {
+                this.setMouseSource(node);
+            }
+            return node;
+        });
+        this.restoreEdges(capture.edges);
+        return nodes;
+    }
+
+    recordNodeCreation(node) {
+        const id = node.id;
+        let capture = null;
+        this.history.record({
+            label: `Create ${node.name || node.type}`,
+            undo: () => {
+                const created = this.getNodeById(id);
+                capture = this.captureNodes([created]);
+                this.removeNode(created);
+            },
+            redo: () => this.restoreCapture(capture)
+        });
+    }
+
+    // Record a drag as one command; dragNodes entries carry each node's start position
+    recordMove(dragNodes) {
+        const moves = dragNodes.map(({ node, startX, startY }) => ({
+            id: node.id,
+            from: { x: startX, y: startY },
+            to: { x: node.particle.x, y: node.particle.y }
+        })).filter(move => Math.abs(move.to.x - move.from.x) >= 1 || Math.abs(move.to.y - move.from.y) >= 1);
+        if (moves.length === 0) return;
+        const node = dragNodes[0].node;
+        this.history.record({
+            label: moves.length === 1 ? `Move ${node.name || node.type}` : `Move ${moves.length} nodes`,
+            undo: () => moves.forEach(move => this.moveNodeTo(this.getNodeById(move.id), move.from)),
+            redo: () => moves.forEach(move => this.moveNodeTo(this.getNodeById(move.id), move.to))
+        });
+    }
+
+    moveNodeTo(node, position) {
+        node.particle.x = position.x;
+        node.particle.y = position.y;
+        node.particle.vx = 0;
+        node.particle.vy = 0;
+        node.updatePosition();
+        this.connectionsNeedUpdate = true;
+    }
+
+    recordRename(node, previousName) {
+        const id = node.id;
+        const name = node.name;
+        this.history.record({
+            label: `Rename ${previousName} to ${name}`,
+            undo: () => this.getNodeById(id).setName(previousName),
+            redo: () => this.getNodeById(id).setName(name)
+        });
+    }
+
+    // Texture resizes clear the buffer, so undo restores the pixels too
+    recordResize(node, before) {
+        const id = node.id;
+        const width = node.textureWidth;
+        const height = node.textureHeight;
+        this.history.record({
+            label: `Resize ${node.name}`,
+            bytes: before.data.byteLength,
+            undo: () => {
+                const buffer = this.getNodeById(id);
+                buffer.resize(before.width, before.height);
+                buffer.setContents(before);
+                buffer.saveContents();
+            },
+            redo: () => this.getNodeById(id).resize(width, height)
+        });
+    }
+
+    // Whole-buffer pixel edits such as clear and randomize; `before` is the buffer's prior contents.
+    // Imports may also change the buffer's size.
+    recordPixelEdit(node, label, before) {
+        const id = node.id;
+        const after = node.getContents();
+        const setContents = (contents) => {
+            const buffer = this.getNodeById(id);
+            if (buffer.textureWidth !== contents.width || buffer.textureHeight !== contents.height) {
+                buffer.resize(contents.width, contents.height);
+            }
+            buffer.setContents(contents);
+            buffer.saveContents();
+        };
+        this.history.record({
+            label: `${label} ${node.name}`,
+            bytes: before.data.byteLength + after.data.byteLength,
+            undo: () => setContents(before),
+            redo: () => setContents(after)
+        });
+    }
+
+    // A paint stroke; `before` is the region it touched as it was before the stroke
+    recordStroke(node, before, label = 'Paint') {
+        const id = node.id;
+        // Before and after snapshots of the same size must fit the buffer's stroke budget
+        if (before.data.byteLength * 2 > STROKE_HISTORY_BYTES_PER_BUFFER) {
+            this.showNotification(`${label} covers too much of ${node.name} to be undone`, 'error');
+            return;
+        }
+        const after = node.getRegion({ x0: before.x, y0: before.y, x1: before.x + before.width, y1: before.y + before.height });
+        const setRegion = (region) => {
+            const buffer = this.getNodeById(id);
+            if (buffer.setRegion(region)) {
+                buffer.saveContents();
+            }
+        };
+        this.history.record({
+            label: `${label} ${node.name}`,
+            bytes: before.data.byteLength + after.data.byteLength,
+            budget: { key: `stroke-${id}`, maxBytes: STROKE_HISTORY_BYTES_PER_BUFFER },
+            undo: () => setRegion(before),
+            redo: () => setRegion(after)
+        });
+    }
+
+    recordPaletteEdit(node, label, before) {
+        const id = node.id;
+        const after = node.getPaletteState();
+        this.history.record({
+            label,
+            undo: () => this.getNodeById(id).setPaletteState(before),
+            redo: () => this.getNodeById(id).setPaletteState(after)
+        });
+    }
+
+    getNodeById(id) {
+        return this.graph.nodeMap.get(id) || null;
+    }
+
+    // Delete several nodes as one undoable command
+    removeNodes(nodes) {
+        if (nodes.length === 0) return;
+        if (nodes.length === 1) {
+            this.removeNode(nodes[0]);
+            return;
+        }
+        const capture = this.captureNodes(nodes);
+        const ids = nodes.map(node => node.id);
+        this.history.runWithoutRecording(() => nodes.forEach(node => this.removeNode(node)));
+        this.history.record({
+            label: `Delete ${nodes.length} nodes`,
+            bytes: this.getCaptureBytes(capture),
+            undo: () => this.restoreCapture(capture),
+            redo: () => this.removeNodes(ids.map(id => this.getNodeById(id)))
+        });
+    }
+
+    removeNode(node) {
+        const index = this.nodes.indexOf(node);
         if (index > -1) {
+            const capture = this.captureNodes([node]);
+            
             // Find all shader nodes that were connected to this node
             const connectedShaders = new Set();
             const edgesToRemove = this.graph.getEdgesFrom(node);
@@ -1093,6 +3478,22 @@ class App {
                 }
             });
             
+            if (this.mouseSourceNode === node) {
+                this.setMouseSource(null);
+            }
+            if (this.paletteNode === node) {
+                this.paletteNode = null;
+            }
+            this.selectedNodes.delete(node);
+            
+            this.getAllNodes([node])
+                .filter(buffer => buffer.type === 'texture-buffer')
+                .forEach(buffer => {
+                    this.finishFrameRecorder(buffer.id);
+                    this.inspector.removeProbesFor(buffer);
+                    this.deleteTextureContents(buffer);
+                });
+            
             this.nodes.splice(index, 1);
             this.graph.removeNode(node);
             node.destroy();
@@ -1104,6 +3505,14 @@ class App {
                 shaderNode.updateHeader(this.graph);
             });
             
+            const id = node.id;
+            this.history.record({
+                label: `Delete ${node.name || node.type}`,
+                bytes: this.getCaptureBytes(capture),
+                undo: () => this.restoreCapture(capture),
+                redo: () => this.removeNode(this.getNodeById(id))
+            });
+            
             this.saveState(); // Save after deleting node
         }
     }
@@ -1132,6 +3541,7 @@ class App {
         
         // Update connections
         this.updateConnections();
+        this.updateIterationDisplay();
         
         // Update texture buffer previews at 60 FPS (throttled)
         const previewNow = performance.now();
@@ -1143,53 +3553,237 @@ class App {
             });
             this.lastPreviewUpdate = previewNow;
         }
+        this.inspector.update();
         
         requestAnimationFrame(() => this.animate());
     }
 
+    // Steps to run this tick: `stepsPerFrame`, or with a target rate, the steps accrued since the
+    // last tick (at most `stepsPerFrame`; time beyond that is dropped rather than caught up)
+    takeScheduledSteps(now) {
+        const { stepsPerFrame, targetStepsPerSecond } = this.simulation;
+        const elapsed = this.lastScheduleTime === null ? 0 : now - this.lastScheduleTime;
+        this.lastScheduleTime = now;
+        if (targetStepsPerSecond <= 0) {
+            return stepsPerFrame;
+        }
+        this.stepBudget = Math.min(this.stepBudget + elapsed * targetStepsPerSecond / 1000, stepsPerFrame);
+        const steps = Math.floor(this.stepBudget);
+        this.stepBudget -= steps;
+        return steps;
+    }
+
+    // One simulation step: a single evaluation of the graph
+    step() {
+        let masterSeed = this.simulation.masterSeed;
+        if (this.replaying && this.iteration >= this.replay.endIteration) {
+            this.replaying = false;
+        }
+        if (this.replaying) {
+            const entry = this.replay.log[this.iteration - this.replay.startIteration];
+            this.time = entry.time;
+            this.dt = entry.dt;
+            this.mouse = { ...entry.mouse };
+            masterSeed = this.replay.masterSeed;
+        } else if (this.recording) {
+            this.recording.log.push({ time: this.time, dt: this.dt, mouse: { ...this.mouse } });
+        }
+        // The same iteration gets the same seed in every run
+        this.seed = SeededRandom.hash(masterSeed, this.iteration) / 4294967296;
+        this.graph.evaluate(this.webglManager, this.iteration);
+        this.iteration++;
+        this.evaluationFrameCount++;
+        this.captureFrames();
+        this.inspector.recordProbes(this.iteration);
+    }
+
+    // Let frame recorders capture the state after the iteration just run
+    captureFrames() {
+        for (const [id, entry] of this.frameRecorders) {
+            const recorder = entry.recorder;
+            if (recorder.shouldCapture(this.iteration)) {
+                recorder.capture(this.iteration);
+                entry.status.textContent = `${recorder.frames.length} frames, iteration ${this.iteration}`;
+            }
+            if (recorder.stopped) {
+                this.showNotification(`Stopped recording ${recorder.node.name}: its size or format changed`);
+            }
+            if (recorder.isComplete(this.iteration)) {
+                this.finishFrameRecorder(id);
+            }
+        }
+    }
+
+    showFrameRecorderDialog(node) {
+        const { panel, createSelect, createInput, addRow, addButton } = this.createFormPanel(
+            `Record frames of ${node.name} (${node.textureWidth}×${node.textureHeight})`);
+        const everyInput = createInput(1);
+        addRow('Every N iterations', everyInput);
+        const startInput = createInput(this.iteration);
+        addRow('Start at iteration', startInput);
+        const endInput = createInput('');
+        endInput.placeholder = 'none';
+        addRow('Stop at iteration', endInput);
+        const maxFramesInput = createInput(300);
+        addRow('Max frames', maxFramesInput);
+        const frameBytes = node.textureWidth * node.textureHeight * 4;
+        const estimate = document.createElement('span');
+        estimate.style.color = '#888';
+        const updateEstimate = () => {
+            const bytes = Number(maxFramesInput.value) * frameBytes;
+            estimate.textContent = Number.isFinite(bytes) ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : '';
+            estimate.style.color = bytes > FRAME_RECORDER_MAX_BYTES ? '#ff8888' : '#888';
+        };
+        maxFramesInput.addEventListener('input', updateEstimate);
+        updateEstimate();
+        addRow('Memory for max frames', estimate);
+        const formatSelect = createSelect([['gif', 'Animated GIF'], ['png-zip', 'Zip of PNGs']], 'gif');
+        addRow('Format', formatSelect);
+        const delayInput = createInput(50);
+        const delayRow = addRow('GIF frame delay (ms)', delayInput);
+        formatSelect.addEventListener('change', () => {
+            delayRow.style.display = formatSelect.value === 'gif' ? 'flex' : 'none';
+        });
+
+        addButton('Cancel', () => panel.remove());
+        addButton('Start', () => {
+            const readCount = (input, min) => {
+                const value = Number(input.value);
+                return Number.isInteger(value) && value >= min ? value : null;
+            };
+            const settings = {
+                every: readCount(everyInput, 1),
+                startIteration: readCount(startInput, 0),
+                endIteration: endInput.value.trim() === '' ? null : readCount(endInput, 0),
+                maxFrames: readCount(maxFramesInput, 1),
+                format: formatSelect.value,
+                delay: readCount(delayInput, 0)
+            };
+            const { endIteration, ...required } = settings;
+            if (Object.values(required).includes(null) || (endIteration === null && endInput.value.trim() !== '')) {
+                this.showNotification('Enter whole numbers for the recording settings', 'error');
+                return;
+            }
+            if (settings.maxFrames * frameBytes > FRAME_RECORDER_MAX_BYTES) {
+                const limit = Math.floor(FRAME_RECORDER_MAX_BYTES / frameBytes);
+                this.showNotification(`${settings.maxFrames} frames of ${node.name} would need more than ` +
+                    `${FRAME_RECORDER_MAX_BYTES / (1024 * 1024)} MB; record at most ${limit}`, 'error');
+                return;
+            }
+            panel.remove();
+            this.startFrameRecorder(node, settings);
+        });
+        panel.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') panel.remove();
+        });
+
+        document.body.appendChild(panel);
+        everyInput.focus();
+    }
+
+    startFrameRecorder(node, settings) {
+        const recorder = new FrameRecorder(node, settings);
+        const { panel, addRow, addButton } = this.createFormPanel(`Recording ${node.name}`);
+        // Out of the way in the corner rather than centered
+        panel.style.left = 'auto';
+        panel.style.top = 'auto';
+        panel.style.right = '20px';
+        panel.style.bottom = '20px';
+        panel.style.transform = 'none';
+        const status = document.createElement('span');
+        status.textContent = `Waiting for iteration ${settings.startIteration}`;
+        const progress = document.createElement('progress');
+        progress.max = 1;
+        progress.value = 0;
+        progress.style.display = 'none';
+        addRow(status, progress);
+        addButton('Stop', () => this.finishFrameRecorder(node.id));
+        document.body.appendChild(panel);
+
+        this.frameRecorders.set(node.id, { recorder, panel, status, progress });
+        // The current state counts when recording starts on it
+        this.captureFrames();
+    }
+
+    // Stop capturing, encode what was captured with a progress bar, and download it
+    async finishFrameRecorder(id) {
+        const entry = this.frameRecorders.get(id);
+        if (!entry) return;
+        this.frameRecorders.delete(id);
+        const { recorder, panel, status, progress } = entry;
+        if (recorder.frames.length === 0) {
+            panel.remove();
+            this.showNotification('No frames were captured');
+            return;
+        }
+
+        panel.querySelectorAll('button').forEach(button => button.remove());
+        status.textContent = `Encoding ${recorder.frames.length} frames`;
+        progress.style.display = '';
+        try {
+            const blob = await recorder.encode(fraction => {
+                progress.value = fraction;
+            });
+            const baseName = recorder.node.name.replace(/[^\w-]+/g, '_');
+            this.downloadBlob(blob, recorder.settings.format === 'gif' ? `${baseName}.gif` : `${baseName}_frames.zip`);
+            const first = recorder.iterations[0];
+            const last = recorder.iterations[recorder.iterations.length - 1];
+            this.showNotification(`Saved ${recorder.frames.length} frames of ${recorder.node.name} (iterations ${first}–${last})`);
+        } catch (error) {
+            console.error('Error encoding frames:', error);
+            this.showNotification(`Encoding frames failed: ${error.message}`, 'error');
+        } finally {
+            panel.remove();
+        }
+    }
+
     evaluateGraphLoop() {
-        if (!this.paused) {
+        if (!this.paused && !this.restoringContents) {
             // Update time (in seconds)
             this.time = performance.now() / 1000.0;
             
-            // Regenerate seed periodically (once per frame)
-            this.seed = Math.random();
-            
-            // Check if physics has settled
-            const settled = this.physics.particles.every(p => 
-                Math.abs(p.vx) < 0.1 && Math.abs(p.vy) < 0.1
-            );
+            // Layout physics doesn't affect evaluation unless the user asked to hold it
+            const held = this.preferences.pauseWhileArranging && this.isArranging();
 
-            if (settled) {
-                // Run graph evaluation as fast as possible
-                this.graph.evaluate(this.webglManager, this.iteration);
-                this.iteration++;
+            let steps = this.takeScheduledSteps(performance.now());
+            if (this.runTarget !== null) {
+                steps = Math.min(steps, this.runTarget - this.iteration);
+            }
+            if (!held && steps > 0) {
+                // Time since the last evaluation, shared out between this tick's steps
+                this.dt = this.lastEvaluationTime === null ? 0 : (this.time - this.lastEvaluationTime) / steps;
+                this.lastEvaluationTime = this.time;
                 
-                // Track evaluation FPS
-                this.evaluationFrameCount++;
-                const now = performance.now();
-                const elapsed = now - this.lastEvaluationFpsUpdate;
+                for (let i = 0; i < steps; i++) {
+                    this.step();
+                }
+            }
+            if (this.runTarget !== null && this.iteration >= this.runTarget) {
+                this.setPaused(true);
+            }
+            
+            // Track evaluation rate
+            const now = performance.now();
+            const elapsed = now - this.lastEvaluationFpsUpdate;
+            if (elapsed >= 1000) { // Update every second
+                this.evaluationFps = Math.round((this.evaluationFrameCount * 1000) / elapsed);
+                this.evaluationFrameCount = 0;
+                this.lastEvaluationFpsUpdate = now;
                 
-                if (elapsed >= 1000) { // Update FPS every second
-                    this.evaluationFps = Math.round((this.evaluationFrameCount * 1000) / elapsed);
-                    this.evaluationFrameCount = 0;
-                    this.lastEvaluationFpsUpdate = now;
-                    
-                    // Update FPS display
-                    if (this.evaluationFpsDisplay) {
-                        this.evaluationFpsDisplay.textContent = `Eval: ${this.evaluationFps} FPS`;
-                    }
+                // Update steps per second display
+                if (this.evaluationFpsDisplay) {
+                    this.evaluationFpsDisplay.textContent = `Eval: ${this.evaluationFps} steps/s`;
                 }
             }
-        }
-        
-        // Continue loop as fast as possible (or with speed limit if set)
-        if (this.evaluationSpeedLimit > 0) {
-            setTimeout(() => this.evaluateGraphLoop(), this.evaluationSpeedLimit);
         } else {
-            // Use setTimeout(0) to run as fast as possible without blocking
-            setTimeout(() => this.evaluateGraphLoop(), 0);
+            this.lastScheduleTime = null;
         }
+        
+        // With a target rate, wait until the next step is due; otherwise run as fast as possible
+        // without blocking
+        const rate = this.simulation.targetStepsPerSecond;
+        const delay = rate > 0 ? Math.max(0, (1 - this.stepBudget) * 1000 / rate) : 0;
+        setTimeout(() => this.evaluateGraphLoop(), delay);
     }
 }
 
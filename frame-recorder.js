@@ -0,0 +1,251 @@
+// Captures a texture buffer every Nth iteration at its native resolution and encodes the frames
+// as an animated GIF or a zip of numbered PNGs. Frames are kept as 8-bit RGBA contents as
+// produced by TextureFiles.toRGBA8, so they look like the buffer's preview.
+const GIF_MAX_CODE_SIZE = 12;
+
+class FrameRecorder {
+    // settings: { every, startIteration, endIteration (null to run until stopped), maxFrames,
+    //             format: 'gif' or 'png-zip', delay (ms between GIF frames) }
+    constructor(node, settings) {
+        this.node = node;
+        this.settings = settings;
+        this.frames = [];
+        this.iterations = [];
+        this.format = null; // Buffer format of the captured frames
+        this.stopped = false; // Set once the buffer no longer matches the frames captured so far
+    }
+
+    shouldCapture(iteration) {
+        const { every, startIteration, endIteration } = this.settings;
+        return iteration >= startIteration && (iteration - startIteration) % every === 0 &&
+            (endIteration === null || iteration <= endIteration);
+    }
+
+    // Skips the frame if the buffer can't be read, and stops recording once its size or format
+    // differs from the first frame's, since every frame is encoded at the first frame's size
+    capture(iteration) {
+        const contents = this.node.getContents();
+        if (!contents.data) return;
+        const first = this.frames[0];
+        if (first && (contents.width !== first.width || contents.height !== first.height || contents.format !== this.format)) {
+            this.stopped = true;
+            return;
+        }
+        this.format = contents.format;
+        this.frames.push(TextureFiles.toRGBA8(contents));
+        this.iterations.push(iteration);
+    }
+
+    isComplete(iteration) {
+        return this.stopped || this.frames.length >= this.settings.maxFrames ||
+            (this.settings.endIteration !== null && iteration >= this.settings.endIteration);
+    }
+
+    // Encode the captured frames; onProgress gets a fraction between 0 and 1
+    async encode(onProgress) {
+        if (this.settings.format === 'gif') {
+            return FrameRecorder.encodeGIF(this.frames, this.settings.delay, onProgress);
+        }
+        const files = [];
+        for (let i = 0; i < this.frames.length; i++) {
+            const blob = await TextureFiles.encodePNG(this.frames[i]);
+            files.push({ name: `frame_${String(i).padStart(5, '0')}.png`, data: new Uint8Array(await blob.arrayBuffer()) });
+            onProgress((i + 1) / this.frames.length);
+        }
+        return FrameRecorder.encodeZip(files);
+    }
+
+    // GIF89a looping forever. One global palette: exact if the frames use at most 256 colors
+    // (typical for automata), otherwise a uniform 6×7×6 color cube.
+    static async encodeGIF(frames, delay, onProgress) {
+        const { width, height } = frames[0];
+        const palette = FrameRecorder.buildPalette(frames);
+        const parts = [];
+        const bytes = (...values) => parts.push(new Uint8Array(values));
+        const word = (value) => [value & 0xFF, (value >> 8) & 0xFF];
+
+        parts.push(new TextEncoder().encode('GIF89a'));
+        bytes(...word(width), ...word(height), 0xF7, 0, 0); // Global color table of 256 entries
+        parts.push(palette.colors);
+        // NETSCAPE2.0 application extension: loop forever
+        bytes(0x21, 0xFF, 11, ...new TextEncoder().encode('NETSCAPE2.0'), 3, 1, 0, 0, 0);
+
+        const centiseconds = Math.max(2, Math.round(delay / 10));
+        const indices = new Uint8Array(width * height);
+        for (let f = 0; f < frames.length; f++) {
+            // Texture rows run bottom first, GIF rows top first
+            const data = frames[f].data;
+            for (let y = 0; y < height; y++) {
+                const sourceRow = (height - 1 - y) * width;
+                for (let x = 0; x < width; x++) {
+                    const offset = (sourceRow + x) * 4;
+                    indices[y * width + x] = palette.indexOf(data[offset], data[offset + 1], data[offset + 2]);
+                }
+            }
+            bytes(0x21, 0xF9, 4, 0, ...word(centiseconds), 0, 0); // Graphic control extension
+            bytes(0x2C, 0, 0, 0, 0, ...word(width), ...word(height), 0); // Image descriptor
+            bytes(8); // LZW minimum code size
+            const compressed = FrameRecorder.encodeLZW(indices, 8);
+            for (let i = 0; i < compressed.length; i += 255) {
+                const block = compressed.subarray(i, i + 255);
+                bytes(block.length);
+                parts.push(block);
+            }
+            bytes(0);
+
+            onProgress((f + 1) / frames.length);
+            // Let the progress indicator repaint
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+        bytes(0x3B);
+        return new Blob(parts, { type: 'image/gif' });
+    }
+
+    // { colors: 768 bytes of RGB, indexOf(r, g, b) }
+    static buildPalette(frames) {
+        const exact = new Map();
+        for (const frame of frames) {
+            const data = frame.data;
+            for (let i = 0; i < data.length && exact.size <= 256; i += 4) {
+                const key = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+                if (!exact.has(key)) {
+                    exact.set(key, exact.size);
+                }
+            }
+            if (exact.size > 256) break;
+        }
+
+        const colors = new Uint8Array(256 * 3);
+        if (exact.size <= 256) {
+            for (const [key, index] of exact) {
+                colors.set([key >> 16, (key >> 8) & 0xFF, key & 0xFF], index * 3);
+            }
+            return { colors, indexOf: (r, g, b) => exact.get((r << 16) | (g << 8) | b) };
+        }
+
+        const levels = [6, 7, 6];
+        for (let r = 0; r < levels[0]; r++) {
+            for (let g = 0; g < levels[1]; g++) {
+                for (let b = 0; b < levels[2]; b++) {
+                    const index = (r * levels[1] + g) * levels[2] + b;
+                    colors.set([
+                        Math.round(r * 255 / (levels[0] - 1)),
+                        Math.round(g * 255 / (levels[1] - 1)),
+                        Math.round(b * 255 / (levels[2] - 1))
+                    ], index * 3);
+                }
+            }
+        }
+        const level = (value, count) => Math.round(value * (count - 1) / 255);
+        return {
+            colors,
+            indexOf: (r, g, b) => (level(r, levels[0]) * levels[1] + level(g, levels[1])) * levels[2] + level(b, levels[2])
+        };
+    }
+
+    // Variable-length-code LZW as GIF uses it, packed least significant bit first
+    static encodeLZW(indices, minCodeSize) {
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+        const output = [];
+        let bitBuffer = 0;
+        let bitCount = 0;
+        let codeSize = minCodeSize + 1;
+        let nextCode = endCode + 1;
+        let table = new Map();
+
+        const emit = (code) => {
+            bitBuffer |= code << bitCount;
+            bitCount += codeSize;
+            while (bitCount >= 8) {
+                output.push(bitBuffer & 0xFF);
+                bitBuffer >>>= 8;
+                bitCount -= 8;
+            }
+        };
+
+        emit(clearCode);
+        let prefix = indices[0];
+        for (let i = 1; i < indices.length; i++) {
+            const index = indices[i];
+            const key = (prefix << 8) | index;
+            const code = table.get(key);
+            if (code !== undefined) {
+                prefix = code;
+                continue;
+            }
+            emit(prefix);
+            if (nextCode === 1 << GIF_MAX_CODE_SIZE) {
+                // Table full: start over
+                emit(clearCode);
+                table = new Map();
+                codeSize = minCodeSize + 1;
+                nextCode = endCode + 1;
+            } else {
+                if (nextCode >= 1 << codeSize) codeSize++;
+                table.set(key, nextCode++);
+            }
+            prefix = index;
+        }
+        emit(prefix);
+        emit(endCode);
+        if (bitCount > 0) {
+            output.push(bitBuffer & 0xFF);
+        }
+        return new Uint8Array(output);
+    }
+
+    // Uncompressed zip of [{ name, data: Uint8Array }]; PNGs are already deflated
+    static encodeZip(files) {
+        const now = new Date();
+        const time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+        const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+        const parts = [];
+        const central = [];
+        let offset = 0;
+
+        for (const file of files) {
+            const name = new TextEncoder().encode(file.name);
+            const crc = TextureFiles.crc32(file.data);
+            const header = new Uint8Array(30 + name.length);
+            const view = new DataView(header.buffer);
+            view.setUint32(0, 0x04034B50, true);
+            view.setUint16(4, 20, true);
+            view.setUint16(10, time, true);
+            view.setUint16(12, date, true);
+            view.setUint32(14, crc, true);
+            view.setUint32(18, file.data.length, true);
+            view.setUint32(22, file.data.length, true);
+            view.setUint16(26, name.length, true);
+            header.set(name, 30);
+
+            const entry = new Uint8Array(46 + name.length);
+            const entryView = new DataView(entry.buffer);
+            entryView.setUint32(0, 0x02014B50, true);
+            entryView.setUint16(4, 20, true);
+            entryView.setUint16(6, 20, true);
+            entryView.setUint16(12, time, true);
+            entryView.setUint16(14, date, true);
+            entryView.setUint32(16, crc, true);
+            entryView.setUint32(20, file.data.length, true);
+            entryView.setUint32(24, file.data.length, true);
+            entryView.setUint16(28, name.length, true);
+            entryView.setUint32(42, offset, true);
+            entry.set(name, 46);
+
+            parts.push(header, file.data);
+            central.push(entry);
+            offset += header.length + file.data.length;
+        }
+
+        const centralSize = central.reduce((total, entry) => total + entry.length, 0);
+        const end = new Uint8Array(22);
+        const endView = new DataView(end.buffer);
+        endView.setUint32(0, 0x06054B50, true);
+        endView.setUint16(8, files.length, true);
+        endView.setUint16(10, files.length, true);
+        endView.setUint32(12, centralSize, true);
+        endView.setUint32(16, offset, true);
+        return new Blob([...parts, ...central, end], { type: 'application/zip' });
+    }
+}
@@ -3,11 +3,16 @@ class Graph {
         this.nodes = [];
         this.edges = [];
         this.nodeMap = new Map();
+        this.topologyVersion = 0;
+        this.plan = null; // Cached result of buildEvaluationPlan
+        this.planVersion = -1;
     }
 
     addNode(node) {
         this.nodes.push(node);
         this.nodeMap.set(node.id, node);
+        node.ownerGraph = this;
+        this.markTopologyChanged();
         return node;
     }
 
@@ -20,12 +25,14 @@ class Graph {
             this.edges = this.edges.filter(edge => 
                 edge.from !== node && edge.to !== node
             );
+            this.markTopologyChanged();
         }
     }
 
     addEdge(fromNode, fromPort, toNode, toPort) {
         const edge = { from: fromNode, fromPort, to: toNode, toPort };
         this.edges.push(edge);
+        this.markTopologyChanged();
         return edge;
     }
 
@@ -33,6 +40,7 @@ class Graph {
         const index = this.edges.indexOf(edge);
         if (index > -1) {
             this.edges.splice(index, 1);
+            this.markTopologyChanged();
         }
     }
 
@@ -48,122 +56,204 @@ class Graph {
         );
     }
 
-    // Topological sort with cycle detection
-    getEvaluationOrder() {
-        const visited = new Set();
-        const visiting = new Set();
-        const result = [];
-        const cycles = [];
+    // Call after changing `nodes`, `edges` or an edge's `feedback` flag so the plan is rebuilt
+    markTopologyChanged() {
+        this.topologyVersion++;
+    }
 
-        const visit = (node) => {
-            if (visiting.has(node.id)) {
-                // Cycle detected
-                cycles.push(node);
-                return;
+    // Evaluation plan, cached until the topology changes
+    getEvaluationPlan() {
+        if (!this.plan || this.planVersion !== this.topologyVersion) {
+            this.plan = this.buildEvaluationPlan();
+            this.planVersion = this.topologyVersion;
+        }
+        return this.plan;
+    }
+
+    // Split the graph into strongly connected components (Tarjan) and order them. The order only
+    // depends on node ids, never on the order nodes or edges were added:
+    //  - Components run after every component they read from; among the components that are
+    //    ready, the one holding the smallest node id runs first.
+    //  - Inside a component, nodes run in depth-first post-order over their inputs, starting from
+    //    the smallest node id and following inputs by source id, so every input is computed before
+    //    its reader except where that would close a loop.
+    //  - The inputs that close a loop are the component's feedback edges: their reader runs before
+    //    their source and reads the source's contents from the previous iteration. Edges marked
+    //    `feedback` are never followed, so marking one picks where its loop is cut.
+    // Edges to or from nodes outside the graph (a group's boundary edges) are ignored.
+    // Returns { components: [{ nodes, cyclic, feedbackEdges }], order, feedbackEdges }.
+    buildEvaluationPlan() {
+        const isInternal = (edge) =>
+            this.nodeMap.get(edge.from.id) === edge.from && this.nodeMap.get(edge.to.id) === edge.to;
+        const nodes = this.nodes.slice().sort(Graph.compareNodes);
+        const edges = this.edges.filter(isInternal).sort(Graph.compareEdges);
+        
+        // Tarjan's algorithm over the edges' direction of data flow
+        const successors = new Map(nodes.map(node => [node, []]));
+        edges.forEach(edge => successors.get(edge.from).push(edge.to));
+        const indices = new Map();
+        const lowlinks = new Map();
+        const stack = [];
+        const onStack = new Set();
+        const sccs = [];
+        const strongConnect = (node) => {
+            indices.set(node, indices.size);
+            lowlinks.set(node, indices.get(node));
+            stack.push(node);
+            onStack.add(node);
+            for (const next of successors.get(node)) {
+                if (!indices.has(next)) {
+                    strongConnect(next);
+                    lowlinks.set(node, Math.min(lowlinks.get(node), lowlinks.get(next)));
+                } else if (onStack.has(next)) {
+                    lowlinks.set(node, Math.min(lowlinks.get(node), indices.get(next)));
+                }
             }
-            if (visited.has(node.id)) {
-                return;
+            if (lowlinks.get(node) === indices.get(node)) {
+                const members = [];
+                let member;
+                do {
+                    member = stack.pop();
+                    onStack.delete(member);
+                    members.push(member);
+                } while (member !== node);
+                sccs.push(members.sort(Graph.compareNodes));
             }
+        };
+        nodes.forEach(node => {
+            if (!indices.has(node)) {
+                strongConnect(node);
+            }
+        });
+        
+        // Order the condensed DAG (Kahn's algorithm, smallest node id first)
+        const sccOf = new Map();
+        sccs.forEach((members, i) => members.forEach(node => sccOf.set(node, i)));
+        const dependents = sccs.map(() => new Set());
+        const pending = sccs.map(() => 0);
+        edges.forEach(edge => {
+            const from = sccOf.get(edge.from);
+            const to = sccOf.get(edge.to);
+            if (from !== to && !dependents[from].has(to)) {
+                dependents[from].add(to);
+                pending[to]++;
+            }
+        });
+        const ready = sccs.map((_, i) => i).filter(i => pending[i] === 0);
+        const components = [];
+        while (ready.length > 0) {
+            ready.sort((a, b) => Graph.compareNodes(sccs[a][0], sccs[b][0]));
+            const i = ready.shift();
+            components.push(this.orderComponent(sccs[i], edges));
+            dependents[i].forEach(j => {
+                if (--pending[j] === 0) {
+                    ready.push(j);
+                }
+            });
+        }
+        
+        const feedbackEdges = new Set();
+        components.forEach(component => component.feedbackEdges.forEach(edge => feedbackEdges.add(edge)));
+        return {
+            components,
+            order: components.flatMap(component => component.nodes),
+            feedbackEdges
+        };
+    }
 
-            visiting.add(node.id);
-            
-            // Visit dependencies first
-            const incomingEdges = this.getEdgesTo(node);
-            for (const edge of incomingEdges) {
+    // Order one strongly connected component (members sorted by id; edges sorted by Graph.compareEdges)
+    orderComponent(members, edges) {
+        const memberSet = new Set(members);
+        const inner = edges.filter(edge => memberSet.has(edge.from) && memberSet.has(edge.to));
+        const inputs = new Map(members.map(node => [node, []]));
+        inner.forEach(edge => inputs.get(edge.to).push(edge));
+        
+        const visiting = new Set();
+        const done = new Set();
+        const nodes = [];
+        const visit = (node) => {
+            visiting.add(node);
+            for (const edge of inputs.get(node)) {
+                if (edge.feedback || visiting.has(edge.from) || done.has(edge.from)) continue;
                 visit(edge.from);
             }
-
-            visiting.delete(node.id);
-            visited.add(node.id);
-            result.push(node);
+            visiting.delete(node);
+            done.add(node);
+            nodes.push(node);
         };
-
-        for (const node of this.nodes) {
-            if (!visited.has(node.id)) {
+        members.forEach(node => {
+            if (!done.has(node)) {
                 visit(node);
             }
+        });
+        
+        // Whatever reads a node that hasn't run yet this iteration, marked or not
+        const position = new Map(nodes.map((node, i) => [node, i]));
+        const feedbackEdges = inner.filter(edge => position.get(edge.to) <= position.get(edge.from));
+        return { nodes, cyclic: inner.length > 0, feedbackEdges };
+    }
+
+    // Evaluate the graph once per iteration, one component at a time in plan order. Texture
+    // buffers are double buffered: shaders read a buffer's front texture and render into its back
+    // texture, and each buffer swaps once its writers have run. A buffer ordered before its writer
+    // (the reader end of a feedback edge) swaps when its component finishes, so later components
+    // read this iteration's results and the loop reads the previous iteration's.
+    evaluate(webglManager, iteration = 0) {
+        const plan = this.getEvaluationPlan();
+        for (const component of plan.components) {
+            this.evaluateComponent(component, webglManager, iteration);
         }
+    }
 
-        return { order: result, cycles };
+    // Passes per iteration: a loop runs as many times as the largest `loopIterations` among its
+    // nodes (e.g. a Jacobi pressure solve), anything else runs once
+    getComponentIterations(component) {
+        if (!component.cyclic) return 1;
+        return Math.max(1, ...component.nodes.map(node => node.loopIterations || 1));
     }
 
-    // Evaluate graph, handling cycles
-    evaluate(webglManager, iteration = 0) {
-        const { order, cycles } = this.getEvaluationOrder();
-        
-        // Evaluate nodes in topological order (nodes with no dependencies first)
-        for (const node of order) {
+    // Each pass ends by swapping the component's buffers, so a pass reads the previous pass
+    evaluateComponent(component, webglManager, iteration) {
+        const passes = this.getComponentIterations(component);
+        for (let pass = 0; pass < passes; pass++) {
+            this.evaluateComponentPass(component, webglManager, iteration);
+        }
+    }
+
+    evaluateComponentPass(component, webglManager, iteration) {
+        for (const node of component.nodes) {
             if (node.type === 'shader') {
-                // Shader nodes: evaluate and render to output texture
-                node.evaluate(webglManager, this);
-                
-                // Update connected texture buffers automatically
-                // Note: Preview updates are handled in App.evaluateGraph() to avoid expensive readPixels calls
-                const outgoingEdges = this.getEdgesFrom(node);
-                for (const edge of outgoingEdges) {
-                    const targetNode = edge.to;
-                    if (targetNode.type === 'texture-buffer') {
-                        // The shader already rendered to the texture buffer's texture
-                        // Preview will be updated in App.evaluateGraph() (throttled)
-                    }
-                }
+                // Shader nodes: evaluate and render into their output buffer's back texture
+                node.evaluate(webglManager, this, iteration);
             } else if (node.type === 'texture-buffer') {
-                // Texture buffers: update from input connections
+                // Texture buffers: update from input connections, then publish the new contents
                 this.updateTextureBufferInput(node);
+                node.swapBuffers();
                 // Preview will be updated in App.evaluateGraph() (throttled)
+            } else if (node.type === 'group') {
+                // Groups evaluate their inner graph in place
+                node.evaluate(webglManager, this, iteration);
             }
         }
-
-        // Handle cycles - evaluate them in sequence
-        if (cycles.length > 0) {
-            // Find all nodes in cycles
-            const cycleNodes = new Set();
-            for (const cycleNode of cycles) {
-                cycleNodes.add(cycleNode);
-                // Add all nodes connected in cycles
-                const findCycleNodes = (node, visited = new Set()) => {
-                    if (visited.has(node.id)) return;
-                    visited.add(node.id);
-                    cycleNodes.add(node);
-                    
-                    const outgoing = this.getEdgesFrom(node);
-                    const incoming = this.getEdgesTo(node);
-                    
-                    for (const edge of outgoing) {
-                        if (this.getEdgesTo(edge.to).some(e => e.from === node || cycles.includes(e.from))) {
-                            findCycleNodes(edge.to, visited);
-                        }
-                    }
-                    for (const edge of incoming) {
-                        if (this.getEdgesFrom(edge.from).some(e => e.to === node || cycles.includes(e.to))) {
-                            findCycleNodes(edge.from, visited);
-                        }
-                    }
-                };
-                findCycleNodes(cycleNode);
-            }
-
-            // Evaluate cycle nodes
-            for (const node of Array.from(cycleNodes)) {
-                if (node.type === 'shader') {
-                    node.evaluate(webglManager, this);
-                    
-                    // Update connected texture buffers automatically
-                    const outgoingEdges = this.getEdgesFrom(node);
-                    for (const edge of outgoingEdges) {
-                            const targetNode = edge.to;
-                            if (targetNode.type === 'texture-buffer') {
-                                // Preview will be updated in App.evaluateGraph() (throttled)
-                            }
-                        }
-                    } else if (node.type === 'texture-buffer') {
-                        this.updateTextureBufferInput(node);
-                        // Preview will be updated in App.evaluateGraph() (throttled)
-                    }
+        
+        for (const node of component.nodes) {
+            if (node.type === 'texture-buffer') {
+                node.swapBuffers();
             }
         }
     }
 
+    // Stable orderings for scheduling: nodes by id (numeric parts compared as numbers), edges by
+    // source, source port, target and target port
+    static compareNodes(a, b) {
+        return a.id.localeCompare(b.id, 'en', { numeric: true });
+    }
+
+    static compareEdges(a, b) {
+        return Graph.compareNodes(a.from, b.from) || a.fromPort - b.fromPort ||
+            Graph.compareNodes(a.to, b.to) || a.toPort - b.toPort;
+    }
+
     updateTextureBufferInput(textureBuffer) {
         const incomingEdges = this.getEdgesTo(textureBuffer);
         for (const edge of incomingEdges) {
@@ -173,7 +263,7 @@ class Graph {
                 
                 if (sourceNode.type === 'texture-buffer') {
                     sourceTexture = sourceNode.getOutputTexture();
-                } else if (sourceNode.type === 'shader') {
+                } else if (sourceNode.type === 'shader' || sourceNode.type === 'group') {
                     sourceTexture = sourceNode.getOutputTexture(edge.fromPort);
                 }
                 
@@ -0,0 +1,85 @@
+// Undo/redo stacks of commands. A command is { label, undo(), redo(), bytes?, budget? } describing
+// an action that has already been performed; `bytes` is the size of any pixel snapshots it holds.
+// `budget` ({ key, maxBytes }) caps the bytes held by the commands sharing its key, such as one
+// buffer's paint strokes, by dropping the oldest of them. A command over its budget on its own is
+// not kept at all, so callers should check before recording one.
+// Commands refer to nodes by id so they survive a node being deleted and recreated.
+class CommandHistory {
+    constructor(maxCommands = 100, maxBytes = 256 * 1024 * 1024) {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.maxCommands = maxCommands;
+        this.maxBytes = maxBytes;
+        // Set while a command runs so the actions it replays aren't recorded again
+        this.applying = false;
+    }
+
+    record(command) {
+        if (this.applying) return;
+        this.undoStack.push(command);
+        this.redoStack = [];
+        this.trim();
+    }
+
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return null;
+        this.runWithoutRecording(() => command.undo());
+        this.redoStack.push(command);
+        return command;
+    }
+
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return null;
+        this.runWithoutRecording(() => command.redo());
+        this.undoStack.push(command);
+        return command;
+    }
+
+    // Run actions without recording them, e.g. to record a group of them as one command
+    runWithoutRecording(action) {
+        const wasApplying = this.applying;
+        this.applying = true;
+        try {
+            action();
+        } finally {
+            this.applying = wasApplying;
+        }
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    getByteSize() {
+        const sum = (stack) => stack.reduce((total, command) => total + (command.bytes || 0), 0);
+        return sum(this.undoStack) + sum(this.redoStack);
+    }
+
+    // Drop the oldest commands once either limit is exceeded
+    trim() {
+        while (this.undoStack.length > this.maxCommands) {
+            this.undoStack.shift();
+        }
+        while (this.undoStack.length > 1 && this.getByteSize() > this.maxBytes) {
+            this.undoStack.shift();
+        }
+        const latest = this.undoStack[this.undoStack.length - 1];
+        if (latest && latest.budget) {
+            const { key, maxBytes } = latest.budget;
+            if ((latest.bytes || 0) > maxBytes) {
+                this.undoStack.pop();
+                return;
+            }
+            const matching = this.undoStack.filter(command => command.budget && command.budget.key === key);
+            let total = matching.reduce((sum, command) => sum + (command.bytes || 0), 0);
+            for (const command of matching) {
+                if (total <= maxBytes) break;
+                total -= command.bytes || 0;
+                this.undoStack.splice(this.undoStack.indexOf(command), 1);
+            }
+        }
+    }
+}
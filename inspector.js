@@ -0,0 +1,392 @@
+// Pixel inspector for texture buffer previews. Hovering a preview shows the texel under the
+// pointer with its exact stored values, read back on demand rather than from the preview, and
+// optionally a magnifier grid of one channel around it. Probes pinned to texels log their values
+// every iteration and are listed with sparklines in a panel.
+const INSPECTOR_GRID_RADIUS = 3; // The magnifier shows (2r + 1)² texels
+const PROBE_LOG_LIMIT = 10000; // Iterations of values kept per probe
+const PROBE_SPARKLINE_LENGTH = 120;
+const PROBE_COLORS = ['#ffd43b', '#ff6b6b', '#51cf66', '#4dabf7', '#cc5de8', '#ff922b'];
+const CHANNEL_COLORS = ['#ff6b6b', '#51cf66', '#4dabf7', '#ced4da'];
+
+class PixelInspector {
+    constructor(app) {
+        this.app = app;
+        this.hover = null; // { node, x, y, clientX, clientY } while over a preview
+        this.reading = null; // Last readback: { node, x, y, radius, iteration, region }
+        this.probes = []; // { node, x, y, color, log: [{ iteration, values }], shown, marker, row, valuesEl, sparkline }
+        this.probeCount = 0;
+        this.panel = null;
+
+        this.tooltip = document.createElement('div');
+        this.tooltip.style.position = 'fixed';
+        this.tooltip.style.zIndex = '1001';
+        this.tooltip.style.pointerEvents = 'none';
+        this.tooltip.style.padding = '6px 8px';
+        this.tooltip.style.background = 'rgba(26, 26, 26, 0.95)';
+        this.tooltip.style.border = '1px solid #444';
+        this.tooltip.style.borderRadius = '4px';
+        this.tooltip.style.color = '#e0e0e0';
+        this.tooltip.style.fontFamily = 'monospace';
+        this.tooltip.style.fontSize = '12px';
+        this.tooltip.style.whiteSpace = 'pre';
+        this.tooltip.style.display = 'none';
+
+        this.header = document.createElement('div');
+        // The magnifier's cells are created once and refilled, rows top first like the preview
+        const size = INSPECTOR_GRID_RADIUS * 2 + 1;
+        this.grid = document.createElement('div');
+        this.grid.style.display = 'none';
+        this.grid.style.gridTemplateColumns = `repeat(${size}, 44px)`;
+        this.grid.style.gap = '1px';
+        this.grid.style.marginTop = '6px';
+        this.cells = [];
+        for (let i = 0; i < size * size; i++) {
+            const cell = document.createElement('div');
+            cell.style.height = '18px';
+            cell.style.textAlign = 'center';
+            cell.style.overflow = 'hidden';
+            cell.style.fontSize = '10px';
+            cell.style.lineHeight = '18px';
+            if (i === (size * size - 1) / 2) {
+                cell.style.outline = '1px solid #4a9eff';
+            }
+            this.grid.appendChild(cell);
+            this.cells.push(cell);
+        }
+        this.help = document.createElement('div');
+        this.help.style.color = '#888';
+        this.help.style.marginTop = '4px';
+        this.tooltip.append(this.header, this.grid, this.help);
+        document.body.appendChild(this.tooltip);
+
+        document.addEventListener('mousemove', (e) => this.onMouseMove(e));
+        document.addEventListener('keydown', (e) => this.onKeyDown(e));
+    }
+
+    getSettings() {
+        return this.app.preferences.inspector;
+    }
+
+    bufferAt(target) {
+        return this.app.nodes.find(node => node.type === 'texture-buffer' && node.previewCanvas === target) || null;
+    }
+
+    onMouseMove(e) {
+        const node = this.getSettings().enabled ? this.bufferAt(e.target) : null;
+        if (!node) {
+            this.hideTooltip();
+            return;
+        }
+        const texel = node.getTexelIndex(node.getTexelPosition(e));
+        this.hover = { node, x: texel.x, y: texel.y, clientX: e.clientX, clientY: e.clientY };
+        if (e.buttons !== 0) {
+            // Painting changes values without advancing the iteration
+            this.reading = null;
+        }
+        this.updateTooltip();
+        this.positionTooltip();
+    }
+
+    // P pins a probe, M toggles the magnifier, C cycles the magnified channel
+    onKeyDown(e) {
+        if (!this.hover || this.app.isEditingText(e.target) || e.ctrlKey || e.metaKey || e.altKey) return;
+        const settings = this.getSettings();
+        const key = e.key.toLowerCase();
+        if (key === 'p') {
+            this.addProbe(this.hover.node, this.hover.x, this.hover.y);
+        } else if (key === 'm') {
+            this.app.setPreference('inspector', { ...settings, magnifier: !settings.magnifier });
+        } else if (key === 'c') {
+            const channels = this.hover.node.webglManager.getTextureFormatInfo(this.hover.node.format).channels;
+            this.app.setPreference('inspector', { ...settings, channel: (settings.channel + 1) % channels });
+        } else {
+            return;
+        }
+        e.preventDefault();
+        this.updateTooltip();
+        this.positionTooltip();
+    }
+
+    hideTooltip() {
+        this.hover = null;
+        this.reading = null;
+        this.tooltip.style.display = 'none';
+    }
+
+    // Called every animation frame. Reads back only once the simulation has stepped since the
+    // last read; otherwise just keeps the probe markers over their texels as nodes move.
+    update() {
+        if (this.hover && !this.app.nodes.includes(this.hover.node)) {
+            this.hideTooltip();
+        }
+        if (this.hover && (!this.reading || this.reading.iteration !== this.app.iteration)) {
+            this.updateTooltip();
+        }
+        this.updateProbes();
+    }
+
+    // Values of a rectangle of texels, clipped to the buffer; null if none of it is inside
+    readRegion(node, x0, y0, x1, y1) {
+        x0 = Math.max(0, x0);
+        y0 = Math.max(0, y0);
+        x1 = Math.min(node.textureWidth, x1);
+        y1 = Math.min(node.textureHeight, y1);
+        if (x1 <= x0 || y1 <= y0) return null;
+        const data = node.webglManager.readTextureData(node.texture, x0, y0, x1 - x0, y1 - y0);
+        return data && { x0, y0, width: x1 - x0, height: y1 - y0, data };
+    }
+
+    // The hovered texel's neighborhood, read again only when the texel, the magnifier or the
+    // iteration changed
+    readHover(radius) {
+        const { node, x, y } = this.hover;
+        const reading = this.reading;
+        if (reading && reading.node === node && reading.x === x && reading.y === y &&
+            reading.radius === radius && reading.iteration === this.app.iteration) {
+            return reading.region;
+        }
+        const region = this.readRegion(node, x - radius, y - radius, x + radius + 1, y + radius + 1);
+        this.reading = { node, x, y, radius, iteration: this.app.iteration, region };
+        return region;
+    }
+
+    formatValue(info, value, compact = false) {
+        if (info.normalized) {
+            return compact ? (value / 255).toFixed(2) : `${value} (${(value / 255).toFixed(3)})`;
+        }
+        if (info.kind !== 'float') {
+            return String(value);
+        }
+        return compact ? String(Number(value.toPrecision(3))) : String(Number(value.toPrecision(7)));
+    }
+
+    formatTexel(info, values) {
+        return Array.from(values, (value, c) => `${TEXTURE_CHANNEL_NAMES[c]} ${this.formatValue(info, value)}`).join('  ');
+    }
+
+    updateTooltip() {
+        const { node, x, y } = this.hover;
+        const settings = this.getSettings();
+        const info = node.webglManager.getTextureFormatInfo(node.format);
+        const radius = settings.magnifier ? INSPECTOR_GRID_RADIUS : 0;
+        const region = this.readHover(radius);
+        if (!region) return;
+        const texelAt = (tx, ty) => {
+            if (tx < region.x0 || tx >= region.x0 + region.width || ty < region.y0 || ty >= region.y0 + region.height) {
+                return null;
+            }
+            const offset = ((ty - region.y0) * region.width + (tx - region.x0)) * info.channels;
+            return region.data.subarray(offset, offset + info.channels);
+        };
+
+        this.header.textContent = `${node.name} (${x}, ${y})  ${node.format}\n${this.formatTexel(info, texelAt(x, y))}`;
+        this.grid.style.display = settings.magnifier ? 'grid' : 'none';
+        const channel = Math.min(settings.channel, info.channels - 1);
+        if (settings.magnifier) {
+            let i = 0;
+            for (let ty = y + radius; ty >= y - radius; ty--) {
+                for (let tx = x - radius; tx <= x + radius; tx++) {
+                    const cell = this.cells[i++];
+                    const texel = texelAt(tx, ty);
+                    if (texel) {
+                        // Background in the preview's colors: values clamped to 0-1
+                        const rgb = [0, 1, 2].map(c => {
+                            if (c >= info.channels) return 0;
+                            const value = info.normalized ? texel[c] / 255 : texel[c];
+                            return Math.round(Math.max(0, Math.min(1, value)) * 255);
+                        });
+                        cell.style.background = `rgb(${rgb.join(',')})`;
+                        cell.style.color = rgb[0] * 0.299 + rgb[1] * 0.587 + rgb[2] * 0.114 > 140 ? '#000' : '#fff';
+                        cell.textContent = this.formatValue(info, texel[channel], true);
+                    } else {
+                        cell.style.background = '#111';
+                        cell.textContent = '';
+                    }
+                }
+            }
+        }
+        this.help.textContent = settings.magnifier
+            ? `P pin probe · M hide magnifier · C channel (${TEXTURE_CHANNEL_NAMES[channel].toUpperCase()})`
+            : 'P pin probe · M magnifier';
+        this.tooltip.style.display = 'block';
+    }
+
+    // Beside the pointer, flipped to stay on screen. Only done when the pointer moves or the
+    // layout changes, since measuring forces a layout.
+    positionTooltip() {
+        if (!this.hover || this.tooltip.style.display === 'none') return;
+        const { clientX, clientY } = this.hover;
+        const width = this.tooltip.offsetWidth;
+        const height = this.tooltip.offsetHeight;
+        const left = clientX + 16 + width > window.innerWidth ? clientX - 16 - width : clientX + 16;
+        const top = clientY + 16 + height > window.innerHeight ? clientY - 16 - height : clientY + 16;
+        this.tooltip.style.left = `${Math.max(0, left)}px`;
+        this.tooltip.style.top = `${Math.max(0, top)}px`;
+    }
+
+    addProbe(node, x, y) {
+        if (this.probes.some(probe => probe.node === node && probe.x === x && probe.y === y)) return;
+        const color = PROBE_COLORS[this.probeCount++ % PROBE_COLORS.length];
+        const probe = { node, x, y, color, log: [], shown: null };
+
+        probe.marker = document.createElement('div');
+        probe.marker.style.position = 'fixed';
+        probe.marker.style.zIndex = '1000';
+        probe.marker.style.pointerEvents = 'none';
+        probe.marker.style.width = '8px';
+        probe.marker.style.height = '8px';
+        probe.marker.style.border = `2px solid ${color}`;
+        probe.marker.style.borderRadius = '50%';
+        probe.marker.style.boxSizing = 'border-box';
+        document.body.appendChild(probe.marker);
+
+        this.createProbeRow(probe);
+        this.probes.push(probe);
+        // Log the current value so the probe starts with a reading
+        this.recordProbe(probe, this.app.iteration);
+        this.updateProbes();
+    }
+
+    createProbeRow(probe) {
+        if (!this.panel) {
+            this.panel = document.createElement('div');
+            this.panel.style.position = 'fixed';
+            this.panel.style.left = '20px';
+            this.panel.style.bottom = '20px';
+            this.panel.style.zIndex = '1000';
+            this.panel.style.display = 'flex';
+            this.panel.style.flexDirection = 'column';
+            this.panel.style.gap = '4px';
+            this.panel.style.padding = '6px';
+            this.panel.style.background = '#1a1a1a';
+            this.panel.style.border = '1px solid #444';
+            this.panel.style.borderRadius = '4px';
+            this.panel.style.color = '#e0e0e0';
+            this.panel.style.fontFamily = 'monospace';
+            this.panel.style.fontSize = '12px';
+            document.body.appendChild(this.panel);
+        }
+
+        const row = document.createElement('div');
+        row.style.display = 'flex';
+        row.style.alignItems = 'center';
+        row.style.gap = '8px';
+        const label = document.createElement('span');
+        label.style.color = probe.color;
+        label.textContent = `● ${probe.node.name} (${probe.x}, ${probe.y})`;
+        const valuesEl = document.createElement('span');
+        valuesEl.style.minWidth = '220px';
+        const sparkline = document.createElement('canvas');
+        sparkline.width = PROBE_SPARKLINE_LENGTH;
+        sparkline.height = 24;
+        sparkline.style.background = '#0f0f0f';
+        const createButton = (text, title, onClick) => {
+            const button = document.createElement('button');
+            button.textContent = text;
+            button.title = title;
+            button.style.padding = '2px 6px';
+            button.style.background = '#2a2a2a';
+            button.style.border = '1px solid #555';
+            button.style.borderRadius = '4px';
+            button.style.color = '#e0e0e0';
+            button.style.cursor = 'pointer';
+            button.addEventListener('click', onClick);
+            return button;
+        };
+        row.append(label, valuesEl, sparkline,
+            createButton('CSV', 'Download the logged values', () => this.downloadProbeLog(probe)),
+            createButton('✕', 'Remove probe', () => this.removeProbe(probe)));
+        this.panel.appendChild(row);
+        Object.assign(probe, { row, valuesEl, sparkline });
+    }
+
+    removeProbe(probe) {
+        probe.marker.remove();
+        probe.row.remove();
+        this.probes.splice(this.probes.indexOf(probe), 1);
+        if (this.probes.length === 0 && this.panel) {
+            this.panel.remove();
+            this.panel = null;
+        }
+    }
+
+    removeProbesFor(node) {
+        this.probes.filter(probe => probe.node === node).forEach(probe => this.removeProbe(probe));
+    }
+
+    clear() {
+        [...this.probes].forEach(probe => this.removeProbe(probe));
+        this.hideTooltip();
+    }
+
+    // Log every probe's values for an iteration; called after each step
+    recordProbes(iteration) {
+        this.probes.forEach(probe => this.recordProbe(probe, iteration));
+    }
+
+    recordProbe(probe, iteration) {
+        const region = this.readRegion(probe.node, probe.x, probe.y, probe.x + 1, probe.y + 1);
+        if (!region) return;
+        probe.log.push({ iteration, values: Array.from(region.data) });
+        if (probe.log.length > PROBE_LOG_LIMIT) {
+            probe.log.splice(0, probe.log.length - PROBE_LOG_LIMIT);
+        }
+    }
+
+    // Keep the markers over the previews; readouts and sparklines are redrawn only when the
+    // probe has logged something new
+    updateProbes() {
+        for (const probe of this.probes) {
+            const node = probe.node;
+            const latest = probe.log[probe.log.length - 1];
+            if (latest && probe.shown !== latest) {
+                const info = node.webglManager.getTextureFormatInfo(node.format);
+                probe.valuesEl.textContent = `${this.formatTexel(info, latest.values)} @${latest.iteration}`;
+                this.drawSparkline(probe);
+                probe.shown = latest;
+            }
+
+            const visible = this.app.nodes.includes(node) && node.previewCanvas &&
+                probe.x < node.textureWidth && probe.y < node.textureHeight;
+            probe.marker.style.display = visible ? 'block' : 'none';
+            if (visible) {
+                const rect = node.previewCanvas.getBoundingClientRect();
+                const texelWidth = rect.width / node.textureWidth;
+                const texelHeight = rect.height / node.textureHeight;
+                probe.marker.style.left = `${rect.left + (probe.x + 0.5) * texelWidth - 4}px`;
+                probe.marker.style.top = `${rect.top + (node.textureHeight - probe.y - 0.5) * texelHeight - 4}px`;
+            }
+        }
+    }
+
+    // Each channel's recent values, scaled to the range they cover
+    drawSparkline(probe) {
+        const context = probe.sparkline.getContext('2d');
+        const { width, height } = probe.sparkline;
+        context.clearRect(0, 0, width, height);
+        const recent = probe.log.slice(-PROBE_SPARKLINE_LENGTH);
+        if (recent.length < 2) return;
+        const values = recent.flatMap(entry => entry.values);
+        const min = Math.min(...values);
+        const range = Math.max(...values) - min || 1;
+        recent[0].values.forEach((_, c) => {
+            context.strokeStyle = CHANNEL_COLORS[c];
+            context.beginPath();
+            recent.forEach((entry, i) => {
+                const px = (i / (PROBE_SPARKLINE_LENGTH - 1)) * width;
+                const py = height - 2 - ((entry.values[c] - min) / range) * (height - 4);
+                if (i === 0) context.moveTo(px, py);
+                else context.lineTo(px, py);
+            });
+            context.stroke();
+        });
+    }
+
+    downloadProbeLog(probe) {
+        const channels = probe.log.length > 0 ? probe.log[0].values.length : 0;
+        const lines = [['iteration', ...TEXTURE_CHANNEL_NAMES.slice(0, channels)].join(',')];
+        probe.log.forEach(entry => lines.push([entry.iteration, ...entry.values].join(',')));
+        const name = `${probe.node.name}_${probe.x}_${probe.y}`.replace(/[^\w-]+/g, '_');
+        this.app.downloadBlob(new Blob([lines.join('\n') + '\n'], { type: 'text/csv' }), `${name}_probe.csv`);
+    }
+}
@@ -14,6 +14,13 @@ class Node {
         this.lastRenderedY = null;
         this.lastRenderedWidth = null;
         this.lastRenderedHeight = null;
+        this.ownerGraph = null; // Graph this node belongs to; set by Graph.addNode
+        this.loopIterations = 1; // Passes per step of the loop this node is in; the largest in a loop wins
+    }
+
+    // The graph holding this node: the app's graph, or a group's inner graph
+    getGraph() {
+        return this.ownerGraph || (window.app ? window.app.graph : null);
     }
 
     createElement() {
@@ -75,17 +82,31 @@ class Node {
     }
 }
 
+// Drawing-tool shapes and symmetry modes as the paint program's u_shape and u_symmetry values
+const PAINT_SHAPES = { stroke: 0, rect: 1, mask: 2 };
+const PAINT_SYMMETRY = { none: 0, x: 1, y: 2, xy: 3 };
+
 class TextureBufferNode extends Node {
-    constructor(id, x, y, physics, webglManager, width = 512, height = 512, name = 'tex_0') {
+    constructor(id, x, y, physics, webglManager, width = 512, height = 512, name = 'tex_0', format = 'RGBA8') {
         super(id, 'texture-buffer', x, y, physics);
         this.webglManager = webglManager;
         this.textureWidth = width;
         this.textureHeight = height;
-        this.texture = webglManager.createTexture(width, height);
+        this.formatWarning = null;
+        this.format = this.resolveFormat(format);
+        // Double buffered: shaders and previews read the front texture (`texture`) while shaders
+        // render into the back one; Graph.evaluate swaps them once per iteration
+        this.texture = null;
+        this.backTexture = null;
+        this.pendingSwap = false;
+        this.createTextures();
         this.previewCanvas = null;
         this.isDrawing = false;
+        this.stroke = null; // Drawing-tool stroke in progress
         this.drawContext = null;
         this.name = name;
+        // Store contents in IndexedDB and project files after manual edits
+        this.keepContents = true;
         
         // FPS tracking for preview updates
         this.previewFps = 0;
@@ -101,6 +122,22 @@ class TextureBufferNode extends Node {
         
         this.createElement();
         this.setupDrawing();
+        this.showFormatWarning(this.formatWarning);
+    }
+
+    // Fall back to RGBA8 when the requested format is unknown or can't be rendered to on this GPU
+    resolveFormat(format) {
+        this.formatWarning = null;
+        if (!TEXTURE_FORMATS[format]) {
+            this.formatWarning = `Unknown texture format "${format}", using RGBA8`;
+            return 'RGBA8';
+        }
+        if (!this.webglManager.isTextureFormatSupported(format)) {
+            const required = TEXTURE_FORMATS[format].requires;
+            this.formatWarning = `${format} needs ${required}, which this GPU doesn't support - using RGBA8`;
+            return 'RGBA8';
+        }
+        return format;
     }
 
     createElement() {
@@ -116,6 +153,15 @@ class TextureBufferNode extends Node {
                     <canvas class="texture-preview-canvas"></canvas>
                     <div class="texture-info">${this.textureWidth}×${this.textureHeight}</div>
                 </div>
+                <div class="texture-format-row">
+                    <select class="texture-format-select" title="Texture format">
+                        ${Object.keys(TEXTURE_FORMATS).map(f => `<option value="${f}"${f === this.format ? ' selected' : ''}>${f}</option>`).join('')}
+                    </select>
+                    <label class="texture-keep-contents" title="Keep this buffer's contents across reloads and in project files">
+                        <input type="checkbox" class="texture-keep-checkbox"${this.keepContents ? ' checked' : ''}> Keep
+                    </label>
+                </div>
+                <div class="texture-format-warning" style="display: none;"></div>
                 <div class="texture-controls">
                     <button class="btn" data-action="clear">Clear</button>
                     <button class="btn" data-action="random">Random</button>
@@ -182,6 +228,23 @@ class TextureBufferNode extends Node {
         div.querySelector('[data-action="clear"]').addEventListener('click', () => this.clear());
         div.querySelector('[data-action="random"]').addEventListener('click', () => this.randomize());
         div.querySelector('[data-action="resize"]').addEventListener('click', () => this.promptResize());
+        div.querySelector('.texture-format-select').addEventListener('change', (e) => this.setFormat(e.target.value));
+        div.querySelector('.texture-keep-checkbox').addEventListener('change', (e) => this.setKeepContents(e.target.checked));
+
+        // Dropping a PNG, JPEG or .npy file onto the node imports it
+        div.addEventListener('dragover', (e) => {
+            if (e.dataTransfer.types.includes('Files')) {
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'copy';
+            }
+        });
+        div.addEventListener('drop', (e) => {
+            const file = e.dataTransfer.files[0];
+            if (file && window.app) {
+                e.preventDefault();
+                window.app.importTextureFile(this, file);
+            }
+        });
 
         // Make title editable
         const titleEl = div.querySelector(`[data-node-title="${this.id}"]`);
@@ -216,6 +279,7 @@ class TextureBufferNode extends Node {
         if (!sanitizedName || sanitizedName === '_') {
             sanitizedName = 'textureBuffer';
         }
+        const previousName = this.name;
         this.name = sanitizedName;
         
         // Update display (keep original for display, use sanitized for GLSL)
@@ -227,13 +291,17 @@ class TextureBufferNode extends Node {
         // Notify connected shader nodes to update their headers
         // We'll need access to the graph, so this will be handled when shaders re-evaluate
         // For now, we'll trigger an update through the app if available
-        if (window.app && window.app.graph) {
-            const outgoingEdges = window.app.graph.getEdgesFrom(this);
+        const graph = this.getGraph();
+        if (window.app && graph) {
+            const outgoingEdges = graph.getEdgesFrom(this);
             for (const edge of outgoingEdges) {
                 if (edge.to.type === 'shader') {
-                    edge.to.updateHeader(window.app.graph);
+                    edge.to.updateHeader(graph);
                 }
             }
+            if (previousName !== this.name) {
+                window.app.recordRename(this, previousName);
+            }
             window.app.saveState(); // Save after name change
         }
     }
@@ -246,142 +314,507 @@ class TextureBufferNode extends Node {
         // Canvas will use WebGL context for preview rendering
 
         canvas.addEventListener('mousedown', (e) => {
-            if (this.physics.particles.some(p => Math.abs(p.vx) < 0.1 && Math.abs(p.vy) < 0.1)) {
-                this.isDrawing = true;
-                this.draw(e);
+            // The mouse input buffer feeds the pointer to shaders instead of being painted on
+            if (this.isMouseSource()) {
+                this.updateMouseInput(e, e.buttons);
+                return;
             }
+            this.beginStroke(e);
         });
 
         canvas.addEventListener('mousemove', (e) => {
-            if (this.isDrawing) {
-                this.draw(e);
+            if (this.isMouseSource()) {
+                this.updateMouseInput(e, e.buttons);
+            } else if (this.isDrawing) {
+                this.continueStroke(e);
             }
         });
 
-        canvas.addEventListener('mouseup', () => {
-            this.isDrawing = false;
+        canvas.addEventListener('mouseup', (e) => {
+            if (this.isDrawing) {
+                this.endStroke();
+            }
+            if (this.isMouseSource()) {
+                this.updateMouseInput(e, e.buttons);
+            }
         });
 
-        canvas.addEventListener('mouseleave', () => {
-            this.isDrawing = false;
+        canvas.addEventListener('mouseleave', (e) => {
+            if (this.isDrawing) {
+                this.endStroke();
+            }
+            // Keep the last position but release the buttons
+            if (this.isMouseSource()) {
+                window.app.mouse.buttons = 0;
+            }
         });
     }
 
-    draw(e) {
-        const canvas = this.previewCanvas;
-        const rect = canvas.getBoundingClientRect();
-        const x = (e.clientX - rect.left) / rect.width;
-        const y = (e.clientY - rect.top) / rect.height;
-
-        const gl = this.webglManager.gl;
-        const px = Math.max(0, Math.min(this.textureWidth - 1, Math.floor(x * this.textureWidth)));
-        // Flip y coordinate: canvas has (0,0) at top-left, WebGL textures have (0,0) at bottom-left
-        const py = Math.max(0, Math.min(this.textureHeight - 1, this.textureHeight - 1 - Math.floor(y * this.textureHeight)));
-
-        // Get color from palette (converted to 0-255 range for texSubImage2D with UNSIGNED_BYTE)
-        let color;
-        if (window.app && window.app.paletteNode) {
-            color = window.app.paletteNode.getSelectedColor();
+    isMouseSource() {
+        return !!(window.app && window.app.mouseSourceNode === this);
+    }
+
+    // Pointer position in texture coordinates (0-1, origin bottom-left like v_texCoord)
+    updateMouseInput(e, buttons) {
+        const rect = this.previewCanvas.getBoundingClientRect();
+        window.app.mouse.x = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+        window.app.mouse.y = Math.max(0, Math.min(1, 1 - (e.clientY - rect.top) / rect.height));
+        window.app.mouse.buttons = buttons;
+    }
+
+    // Pointer position in texels, origin bottom-left like the texture's rows
+    getTexelPosition(e) {
+        const rect = this.previewCanvas.getBoundingClientRect();
+        return {
+            x: Math.max(0, Math.min(this.textureWidth, (e.clientX - rect.left) / rect.width * this.textureWidth)),
+            y: Math.max(0, Math.min(this.textureHeight, (1 - (e.clientY - rect.top) / rect.height) * this.textureHeight))
+        };
+    }
+
+    // Brush centers sit on texel centers for odd sizes and texel corners for even ones, so a
+    // brush of size n covers n texels across
+    snapBrush(position, size) {
+        const snap = size % 2 === 1 ? (v) => Math.floor(v) + 0.5 : Math.round;
+        return { x: snap(position.x), y: snap(position.y) };
+    }
+
+    getTexelIndex(position) {
+        return {
+            x: Math.min(this.textureWidth - 1, Math.floor(position.x)),
+            y: Math.min(this.textureHeight - 1, Math.floor(position.y))
+        };
+    }
+
+    getDrawingSettings() {
+        return window.app ? window.app.preferences.drawingTool : DEFAULT_PREFERENCES.drawingTool;
+    }
+
+    // A stroke keeps a GPU copy of the buffer from before it started: line and rectangle
+    // previews are redrawn over it, and the area the stroke touched (`dirty`, texel bounds with
+    // exclusive ends) is read back from it for undo when the stroke ends
+    beginStroke(e) {
+        const settings = { ...this.getDrawingSettings() };
+        const start = this.getTexelPosition(e);
+        this.isDrawing = true;
+        this.stroke = { settings, start, last: start, base: this.webglManager.copyTexture(this.texture), dirty: null };
+        if (settings.tool === 'fill') {
+            this.floodFill(this.getTexelIndex(start), settings);
+        } else if (settings.tool === 'line' || settings.tool === 'rect') {
+            this.drawStrokeShape(start);
         } else {
-            // Default white color (1.0 normalized, convert to 0-255 for UNSIGNED_BYTE)
-            const defaultColor = { r: 1.0, g: 1.0, b: 1.0, a: 1.0 };
-            color = {
-                r: Math.round(defaultColor.r * 255),
-                g: Math.round(defaultColor.g * 255),
-                b: Math.round(defaultColor.b * 255),
-                a: Math.round(defaultColor.a * 255)
-            };
+            const point = this.snapBrush(start, settings.size);
+            this.paintShape({ type: 'stroke', from: point, to: point }, settings);
         }
+    }
 
-        // Draw a small brush (3x3 pixels)
-        const brushSize = 3;
-        const data = new Uint8Array(brushSize * brushSize * 4);
-        for (let i = 0; i < brushSize * brushSize; i++) {
-            data[i * 4] = color.r;
-            data[i * 4 + 1] = color.g;
-            data[i * 4 + 2] = color.b;
-            data[i * 4 + 3] = color.a;
-        }
-
-        const startX = Math.max(0, px - Math.floor(brushSize / 2));
-        const startY = Math.max(0, py - Math.floor(brushSize / 2));
-        const endX = Math.min(this.textureWidth, startX + brushSize);
-        const endY = Math.min(this.textureHeight, startY + brushSize);
-        const actualWidth = endX - startX;
-        const actualHeight = endY - startY;
-
-        if (actualWidth > 0 && actualHeight > 0) {
-            const actualData = new Uint8Array(actualWidth * actualHeight * 4);
-            for (let i = 0; i < actualWidth * actualHeight; i++) {
-                actualData[i * 4] = color.r;
-                actualData[i * 4 + 1] = color.g;
-                actualData[i * 4 + 2] = color.b;
-                actualData[i * 4 + 3] = color.a;
-            }
+    continueStroke(e) {
+        const stroke = this.stroke;
+        const position = this.getTexelPosition(e);
+        if (stroke.settings.tool === 'line' || stroke.settings.tool === 'rect') {
+            this.drawStrokeShape(position);
+        } else if (stroke.settings.tool !== 'fill') {
+            // Join consecutive events with a line so fast strokes have no gaps
+            this.paintShape({
+                type: 'stroke',
+                from: this.snapBrush(stroke.last, stroke.settings.size),
+                to: this.snapBrush(position, stroke.settings.size)
+            }, stroke.settings);
+        }
+        stroke.last = position;
+    }
 
-            gl.bindTexture(gl.TEXTURE_2D, this.texture);
-            gl.texSubImage2D(gl.TEXTURE_2D, 0, startX, startY, actualWidth, actualHeight, gl.RGBA, gl.UNSIGNED_BYTE, actualData);
+    drawStrokeShape(position) {
+        const { settings, start, base } = this.stroke;
+        const shape = settings.tool === 'rect'
+            ? { type: 'rect', from: this.getTexelIndex(start), to: this.getTexelIndex(position) }
+            : { type: 'stroke', from: this.snapBrush(start, settings.size), to: this.snapBrush(position, settings.size) };
+        this.paintShape(shape, settings, base);
+    }
 
-            // Don't update preview on every draw - it's expensive and causes stuttering
-            // Preview will be updated by the animation loop at 60 FPS
-            
-            // Don't save state on every draw - it's too frequent and causes quota issues
-            // State will be saved periodically by the auto-save mechanism
-            // Drawing operations don't need to be persisted (they're manual edits)
+    endStroke() {
+        const { base, dirty } = this.stroke;
+        if (dirty && dirty.x1 > dirty.x0 && dirty.y1 > dirty.y0 && window.app) {
+            window.app.recordStroke(this, this.getRegion(dirty, base));
+        }
+        this.webglManager.deleteTexture(base);
+        this.stroke = null;
+        this.isDrawing = false;
+        this.saveContents();
+    }
+
+    // Grow the stroke's dirty bounds by a shape's bounds and their mirror images
+    markDirty(bounds, settings, mirrored = true) {
+        const width = this.textureWidth;
+        const height = this.textureHeight;
+        const all = [bounds];
+        const bits = mirrored ? PAINT_SYMMETRY[settings.symmetry] || 0 : 0;
+        if (bits & 1) all.push({ x0: width - bounds.x1, y0: bounds.y0, x1: width - bounds.x0, y1: bounds.y1 });
+        if (bits & 2) all.push({ x0: bounds.x0, y0: height - bounds.y1, x1: bounds.x1, y1: height - bounds.y0 });
+        if (bits === 3) all.push({ x0: width - bounds.x1, y0: height - bounds.y1, x1: width - bounds.x0, y1: height - bounds.y0 });
+
+        let dirty = this.stroke.dirty;
+        for (const b of all) {
+            dirty = dirty
+                ? { x0: Math.min(dirty.x0, b.x0), y0: Math.min(dirty.y0, b.y0), x1: Math.max(dirty.x1, b.x1), y1: Math.max(dirty.y1, b.y1) }
+                : { ...b };
+        }
+        this.stroke.dirty = {
+            x0: Math.max(0, dirty.x0),
+            y0: Math.max(0, dirty.y0),
+            x1: Math.min(width, dirty.x1),
+            y1: Math.min(height, dirty.y1)
+        };
+    }
+
+    // { format, x, y, width, height, data } for texel bounds of a texture (the front by default)
+    getRegion(bounds, texture = this.texture) {
+        const width = bounds.x1 - bounds.x0;
+        const height = bounds.y1 - bounds.y0;
+        return {
+            format: this.format,
+            x: bounds.x0,
+            y: bounds.y0,
+            width,
+            height,
+            data: this.webglManager.readTextureData(texture, bounds.x0, bounds.y0, width, height)
+        };
+    }
+
+    // Upload a region into both textures; returns false if it no longer fits this buffer
+    setRegion(region) {
+        if (region.format !== this.format || region.x + region.width > this.textureWidth ||
+            region.y + region.height > this.textureHeight) {
+            return false;
+        }
+        this.webglManager.uploadTextureData(this.texture, region.data, region.x, region.y, region.width, region.height);
+        this.webglManager.uploadTextureData(this.backTexture, region.data, region.x, region.y, region.width, region.height);
+        return true;
+    }
+
+    // Render `source` (the front texture unless a stroke is redrawing over its starting contents)
+    // with a drawing-tool shape applied into the back texture, which then becomes the front
+    paintShape(shape, settings, source = this.texture) {
+        const info = this.webglManager.getTextureFormatInfo(this.format);
+        let color = [0, 0, 0, 0];
+        if (settings.tool !== 'eraser') {
+            const selected = this.getPaintColor();
+            // Normalized formats take 0-1 values in shaders, everything else the stored value
+            color = info.normalized
+                ? [selected.r, selected.g, selected.b, selected.a].map(c => Math.max(0, Math.min(1, c)))
+                : this.webglManager.encodeColor(this.format, selected);
+        }
+
+        const masked = shape.type === 'mask';
+        if (shape.type === 'stroke') {
+            const radius = settings.size / 2;
+            this.markDirty({
+                x0: Math.floor(Math.min(shape.from.x, shape.to.x) - radius),
+                y0: Math.floor(Math.min(shape.from.y, shape.to.y) - radius),
+                x1: Math.ceil(Math.max(shape.from.x, shape.to.x) + radius),
+                y1: Math.ceil(Math.max(shape.from.y, shape.to.y) + radius)
+            }, settings);
+        } else if (shape.type === 'rect') {
+            this.markDirty({
+                x0: Math.min(shape.from.x, shape.to.x),
+                y0: Math.min(shape.from.y, shape.to.y),
+                x1: Math.max(shape.from.x, shape.to.x) + 1,
+                y1: Math.max(shape.from.y, shape.to.y) + 1
+            }, settings);
+        } else {
+            // Fill masks already include their mirrored regions
+            this.markDirty(shape.bounds, settings, false);
+        }
+        const program = this.webglManager.getPaintProgram(info.kind, masked);
+        const inputs = masked ? { u_source: source, u_mask: shape.mask } : { u_source: source };
+        this.webglManager.renderToTexture(this.getWriteTexture(), program, inputs, {
+            u_shape: PAINT_SHAPES[shape.type],
+            u_from: masked ? [0, 0] : [shape.from.x, shape.from.y],
+            u_to: masked ? [0, 0] : [shape.to.x, shape.to.y],
+            u_radius: settings.size / 2,
+            u_square: settings.shape === 'square',
+            u_symmetry: PAINT_SYMMETRY[settings.symmetry] || 0,
+            u_size: [this.textureWidth, this.textureHeight],
+            u_color: color,
+            u_channelMask: settings.channels.map(Number)
+        });
+        this.swapBuffers();
+    }
+
+    // Selected palette color (normalized), white without a palette
+    getPaintColor() {
+        return window.app && window.app.paletteNode
+            ? window.app.paletteNode.getSelectedColorNormalized()
+            : { r: 1.0, g: 1.0, b: 1.0, a: 1.0 };
+    }
+
+    // Write a cell pattern's live cells in the palette color, centered on a texel and limited to
+    // the drawing tools' channels; dead cells are left alone and cells off the buffer are dropped
+    stampPattern(pattern, center) {
+        const left = center.x - Math.floor(pattern.width / 2);
+        const top = center.y + Math.floor(pattern.height / 2); // Texture row of the pattern's first row
+        const bounds = {
+            x0: Math.max(0, left),
+            y0: Math.max(0, top - pattern.height + 1),
+            x1: Math.min(this.textureWidth, left + pattern.width),
+            y1: Math.min(this.textureHeight, top + 1)
+        };
+        if (bounds.x1 <= bounds.x0 || bounds.y1 <= bounds.y0) return;
+
+        const channels = this.webglManager.getTextureFormatInfo(this.format).channels;
+        const mask = this.getDrawingSettings().channels;
+        const texel = this.webglManager.encodeColor(this.format, this.getPaintColor());
+        const before = this.getRegion(bounds);
+        const after = { ...before, data: before.data.slice() };
+        for (let row = 0; row < pattern.height; row++) {
+            const y = top - row;
+            if (y < bounds.y0 || y >= bounds.y1) continue;
+            for (let column = 0; column < pattern.width; column++) {
+                const x = left + column;
+                if (x < bounds.x0 || x >= bounds.x1 || !pattern.cells[row * pattern.width + column]) continue;
+                const offset = ((y - bounds.y0) * after.width + (x - bounds.x0)) * channels;
+                for (let c = 0; c < channels; c++) {
+                    if (mask[c]) after.data[offset + c] = texel[c];
+                }
+            }
         }
+        this.setRegion(after);
+        if (window.app) {
+            window.app.recordStroke(this, before, 'Stamp');
+        }
+        this.saveContents();
+    }
+
+    // The fill region is found on the CPU (it needs the texel values anyway) and written by the
+    // same GPU pass as the other tools, through a mask texture
+    floodFill(seed, settings) {
+        const width = this.textureWidth;
+        const height = this.textureHeight;
+        const channels = this.webglManager.getTextureFormatInfo(this.format).channels;
+        const data = this.webglManager.readTextureData(this.texture);
+        const mask = new Uint8Array(width * height * 4);
+        const bounds = { x0: width, y0: height, x1: 0, y1: 0 };
+
+        const seeds = [seed];
+        const bits = PAINT_SYMMETRY[settings.symmetry] || 0;
+        if (bits & 1) seeds.push({ x: width - 1 - seed.x, y: seed.y });
+        if (bits & 2) seeds.push({ x: seed.x, y: height - 1 - seed.y });
+        if (bits === 3) seeds.push({ x: width - 1 - seed.x, y: height - 1 - seed.y });
+
+        for (const start of seeds) {
+            const startIndex = start.y * width + start.x;
+            if (mask[startIndex * 4]) continue;
+            const target = data.slice(startIndex * channels, (startIndex + 1) * channels);
+            const matches = (index) => {
+                for (let c = 0; c < channels; c++) {
+                    if (data[index * channels + c] !== target[c]) return false;
+                }
+                return true;
+            };
+            const stack = [startIndex];
+            mask[startIndex * 4] = 255;
+            while (stack.length > 0) {
+                const index = stack.pop();
+                const x = index % width;
+                const y = (index - x) / width;
+                bounds.x0 = Math.min(bounds.x0, x);
+                bounds.y0 = Math.min(bounds.y0, y);
+                bounds.x1 = Math.max(bounds.x1, x + 1);
+                bounds.y1 = Math.max(bounds.y1, y + 1);
+                const neighbors = [
+                    x > 0 ? index - 1 : -1,
+                    x < width - 1 ? index + 1 : -1,
+                    index >= width ? index - width : -1,
+                    index < width * (height - 1) ? index + width : -1
+                ];
+                for (const neighbor of neighbors) {
+                    if (neighbor >= 0 && !mask[neighbor * 4] && matches(neighbor)) {
+                        mask[neighbor * 4] = 255;
+                        stack.push(neighbor);
+                    }
+                }
+            }
+        }
+
+        const maskTexture = this.webglManager.createTexture(width, height, mask, 'RGBA8');
+        this.paintShape({ type: 'mask', mask: maskTexture, bounds }, settings);
+        this.webglManager.deleteTexture(maskTexture);
     }
 
     clear() {
-        const gl = this.webglManager.gl;
-        const data = new Uint8Array(this.textureWidth * this.textureHeight * 4);
-        gl.bindTexture(gl.TEXTURE_2D, this.texture);
-        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, this.textureWidth, this.textureHeight, 0, gl.RGBA, gl.UNSIGNED_BYTE, data);
+        const before = this.getContents();
+        const data = this.webglManager.allocateTextureData(this.format, this.textureWidth * this.textureHeight);
+        this.webglManager.uploadTextureData(this.texture, data);
+        this.webglManager.uploadTextureData(this.backTexture, data);
         // Preview will be updated by the animation loop at 60 FPS
         
         // Save state after clear
         if (window.app) {
+            window.app.recordPixelEdit(this, 'Clear', before);
             window.app.saveState();
         }
+        this.saveContents();
     }
 
     randomize() {
-        const gl = this.webglManager.gl;
-        const data = new Uint8Array(this.textureWidth * this.textureHeight * 4);
+        const before = this.getContents();
+        const info = this.webglManager.getTextureFormatInfo(this.format);
+        const data = this.webglManager.allocateTextureData(this.format, this.textureWidth * this.textureHeight);
+        // The project's seeded PRNG, so randomizing is reproducible for a given master seed
+        const random = window.app ? () => window.app.random.next() : Math.random;
         
-        // Fill with random RGBA values
-        for (let i = 0; i < data.length; i += 4) {
-            data[i] = Math.floor(Math.random() * 256);     // R
-            data[i + 1] = Math.floor(Math.random() * 256); // G
-            data[i + 2] = Math.floor(Math.random() * 256); // B
-            data[i + 3] = 255;                              // A (fully opaque)
+        // Fill with random values: bytes for RGBA8, 0-1 for float formats, 0/1 for integer formats.
+        // The last channel of 4-channel formats is alpha and stays fully opaque.
+        for (let i = 0; i < data.length; i += info.channels) {
+            for (let c = 0; c < info.channels; c++) {
+                if (info.channels === 4 && c === 3) {
+                    data[i + c] = info.normalized ? 255 : 1;
+                } else if (info.normalized) {
+                    data[i + c] = Math.floor(random() * 256);
+                } else if (info.kind === 'float') {
+                    data[i + c] = random();
+                } else {
+                    data[i + c] = random() < 0.5 ? 0 : 1;
+                }
+            }
         }
         
-        gl.bindTexture(gl.TEXTURE_2D, this.texture);
-        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, this.textureWidth, this.textureHeight, 0, gl.RGBA, gl.UNSIGNED_BYTE, data);
+        this.webglManager.uploadTextureData(this.texture, data);
+        this.webglManager.uploadTextureData(this.backTexture, data);
         // Preview will be updated by the animation loop at 60 FPS
         
         // Save state after randomize
         if (window.app) {
+            window.app.recordPixelEdit(this, 'Randomize', before);
             window.app.saveState();
         }
+        this.saveContents();
     }
 
     promptResize() {
         const width = prompt('Width:', this.textureWidth);
         const height = prompt('Height:', this.textureHeight);
         if (width && height) {
+            const before = this.getContents();
             this.resize(parseInt(width), parseInt(height));
+            if (window.app) {
+                window.app.recordResize(this, before);
+            }
         }
     }
 
     resize(width, height) {
         this.textureWidth = width;
         this.textureHeight = height;
-        const gl = this.webglManager.gl;
-        gl.deleteTexture(this.texture);
-        this.texture = this.webglManager.createTexture(width, height);
+        this.deleteTextures();
+        this.createTextures();
         this.element.querySelector('.texture-info').textContent = `${width}×${height}`;
         // Preview will be updated by the animation loop at 60 FPS
+        this.saveContents();
+    }
+
+    createTextures() {
+        this.texture = this.webglManager.createTexture(this.textureWidth, this.textureHeight, null, this.format);
+        this.backTexture = this.webglManager.createTexture(this.textureWidth, this.textureHeight, null, this.format);
+        this.pendingSwap = false;
+    }
+
+    deleteTextures() {
+        this.webglManager.deleteTexture(this.texture);
+        this.webglManager.deleteTexture(this.backTexture);
+        this.texture = null;
+        this.backTexture = null;
+    }
+
+    destroy() {
+        this.deleteTextures();
+        super.destroy();
+    }
+
+    // Snapshot of the front texture as { format, width, height, data }
+    getContents() {
+        return {
+            format: this.format,
+            width: this.textureWidth,
+            height: this.textureHeight,
+            data: this.webglManager.readTextureData(this.texture)
+        };
+    }
+
+    // Upload saved contents into both textures; returns false if they don't fit this buffer
+    setContents(contents) {
+        const info = this.webglManager.getTextureFormatInfo(this.format);
+        if (contents.format !== this.format || contents.width !== this.textureWidth ||
+            contents.height !== this.textureHeight ||
+            contents.data.length !== this.textureWidth * this.textureHeight * info.channels) {
+            return false;
+        }
+        this.webglManager.uploadTextureData(this.texture, contents.data);
+        this.webglManager.uploadTextureData(this.backTexture, contents.data);
+        this.pendingSwap = false;
+        return true;
+    }
+
+    saveContents() {
+        if (window.app && this.keepContents) {
+            window.app.saveTextureContents(this);
+        }
+    }
+
+    setKeepContents(keep) {
+        this.keepContents = keep;
+        const checkbox = this.element.querySelector('.texture-keep-checkbox');
+        if (checkbox) {
+            checkbox.checked = keep;
+        }
+        if (window.app) {
+            if (keep) {
+                window.app.saveTextureContents(this);
+            } else {
+                window.app.deleteTextureContents(this);
+            }
+            window.app.saveState();
+        }
+    }
+
+    setFormat(format) {
+        const resolved = this.resolveFormat(format);
+        this.showFormatWarning(this.formatWarning);
+        if (resolved !== this.format) {
+            this.format = resolved;
+            this.deleteTextures();
+            this.createTextures();
+            this.notifyConnectedShaders();
+            this.saveContents();
+        }
+        const select = this.element.querySelector('.texture-format-select');
+        if (select) {
+            select.value = this.format;
+        }
+        if (window.app) {
+            window.app.saveState();
+        }
+    }
+
+    showFormatWarning(message) {
+        const warningEl = this.element.querySelector('.texture-format-warning');
+        if (warningEl) {
+            warningEl.textContent = message || '';
+            warningEl.style.display = message ? 'block' : 'none';
+        }
+    }
+
+    // Shader headers declare samplers and outputs by format, so they change with it
+    notifyConnectedShaders() {
+        const graph = this.getGraph();
+        if (!graph) return;
+        const shaders = new Set();
+        graph.getEdgesFrom(this).forEach(edge => shaders.add(edge.to));
+        graph.getEdgesTo(this).forEach(edge => shaders.add(edge.from));
+        shaders.forEach(node => {
+            if (node.type === 'shader') {
+                node.updateHeader(graph);
+            }
+        });
     }
     
     setSize(width, height) {
@@ -483,21 +916,35 @@ class TextureBufferNode extends Node {
         return this.texture;
     }
 
+    // Texture to render this iteration's result into; it becomes the front texture on the next swap
+    getWriteTexture() {
+        this.pendingSwap = true;
+        return this.backTexture;
+    }
+
+    swapBuffers() {
+        if (!this.pendingSwap) return;
+        const front = this.texture;
+        this.texture = this.backTexture;
+        this.backTexture = front;
+        this.pendingSwap = false;
+    }
+
+    ownsTexture(texture) {
+        return texture === this.texture || texture === this.backTexture;
+    }
+
     setInputTexture(texture) {
-        // Skip if trying to copy texture to itself (performance optimization)
-        if (texture === this.texture) {
-            return; // No need to copy texture to itself
+        // Skip if the source is one of our own textures - a shader already rendered into it
+        if (this.ownsTexture(texture)) {
+            return;
         }
         
-        // Copy texture data using a shader to handle size differences
-        const gl = this.webglManager.gl;
+        // Copy texture data using a shader to handle size and format differences
+        const srcKind = this.webglManager.getTextureFormatInfo(this.webglManager.getTextureFormat(texture)).kind;
+        const dstKind = this.webglManager.getTextureFormatInfo(this.format).kind;
         
-        // Get source texture size
-        gl.bindTexture(gl.TEXTURE_2D, texture);
-        const srcWidth = gl.getTexParameter(gl.TEXTURE_2D, gl.TEXTURE_WIDTH);
-        const srcHeight = gl.getTexParameter(gl.TEXTURE_2D, gl.TEXTURE_HEIGHT);
-        
-        // Use a simple copy shader
+        // Use a simple copy shader, converting between sampler and output types when kinds differ
         const vertexSource = `#version 300 es
             in vec2 a_position;
             in vec2 a_texCoord;
@@ -508,24 +955,28 @@ class TextureBufferNode extends Node {
             }
         `;
 
+        const samplerType = GLSL_SAMPLER_TYPES[srcKind];
+        const outputType = GLSL_OUTPUT_TYPES[dstKind];
         const fragmentSource = `#version 300 es
-            precision mediump float;
+            precision highp float;
+            precision highp ${samplerType};
             in vec2 v_texCoord;
-            uniform sampler2D u_texture;
-            out vec4 fragColor;
+            uniform ${samplerType} u_texture;
+            out ${outputType} fragColor;
             void main() {
-                fragColor = texture(u_texture, v_texCoord);
+                fragColor = ${outputType}(texture(u_texture, v_texCoord));
             }
         `;
 
-        let program = this.webglManager.programs.get('copy');
+        const programKey = `copy-${srcKind}-${dstKind}`;
+        let program = this.webglManager.programs.get(programKey);
         if (!program) {
             program = this.webglManager.createProgram(vertexSource, fragmentSource);
-            this.webglManager.programs.set('copy', program);
+            this.webglManager.programs.set(programKey, program);
         }
 
         // Render source texture to this texture
-        this.webglManager.renderToTexture(this.texture, program, { u_texture: texture });
+        this.webglManager.renderToTexture(this.getWriteTexture(), program, { u_texture: texture });
         // Preview will be updated by the animation loop at 60 FPS
         
         // Don't save state on every texture update - it's too frequent and causes quota issues
@@ -541,7 +992,10 @@ class ShaderNode extends Node {
         this.code = '';
         this.program = null;
         this.inputTextures = [];
-        this.outputTexture = null;
+        this.outputTextures = new Map(); // Internal render targets for ports without a texture buffer
+        this.uniformParams = []; // Annotated `uniform` declarations parsed from the code
+        this.uniformValues = {}; // Current value per parameter name
+        this.uniformParamsSignature = null;
         this.monacoEditor = null;
         this.name = name;
         this.collapsed = false;
@@ -573,6 +1027,7 @@ class ShaderNode extends Node {
                     <div class="shader-editor" id="shader-editor-${this.id}"></div>
                 </div>
                 <div class="shader-header-code" id="shader-header-bottom-${this.id}"></div>
+                <div class="shader-params" id="shader-params-${this.id}" style="display: none;"></div>
                 <div class="shader-error" id="shader-error-${this.id}" style="display: none;"></div>
             </div>
         `;
@@ -641,6 +1096,7 @@ class ShaderNode extends Node {
         if (!sanitizedName || sanitizedName === '_') {
             sanitizedName = 'shader';
         }
+        const previousName = this.name;
         this.name = sanitizedName;
         
         // Update display (keep original for display, use sanitized for GLSL)
@@ -648,6 +1104,11 @@ class ShaderNode extends Node {
         if (titleEl) {
             titleEl.textContent = name;
         }
+        
+        if (window.app && previousName !== this.name) {
+            window.app.recordRename(this, previousName);
+            window.app.saveState();
+        }
     }
     
     toggleCollapse() {
@@ -677,6 +1138,10 @@ class ShaderNode extends Node {
         if (headerBottom) {
             headerBottom.style.display = this.collapsed ? 'none' : 'block';
         }
+        const params = this.element.querySelector(`#shader-params-${this.id}`);
+        if (params) {
+            params.style.display = this.collapsed || this.uniformParams.length === 0 ? 'none' : 'block';
+        }
         
         // Update node size when collapsing/expanding
         if (this.collapsed) {
@@ -773,7 +1238,7 @@ class ShaderNode extends Node {
                                 [/\/\*/, 'comment', '@comment'],
                                 [/\/\/.*$/, 'comment'],
                                 [/(true|false)\b/, 'keyword'],
-                                [/\b(vec[234]|mat[234]|sampler2D|samplerCube|float|int|bool|void)\b/, 'type'],
+                                [/\b([iu]?vec[234]|mat[234]|[iu]?sampler2D|samplerCube|float|u?int|bool|void)\b/, 'type'],
                                 [/\b(if|else|for|while|do|return|break|continue|discard|struct|uniform|varying|attribute|in|out|inout|const)\b/, 'keyword'],
                                 [/\b(texture|texture2D|textureCube|mix|smoothstep|step|clamp|fract|floor|ceil|round|abs|sign|min|max|pow|exp|log|sqrt|inversesqrt|normalize|length|distance|dot|cross|reflect|refract|mod|sin|cos|tan|asin|acos|atan|atan2|radians|degrees)\b/, 'keyword.function'],
                                 [/[0-9]*\.[0-9]+([eE][-+]?[0-9]+)?[fFdD]?/, 'number.float'],
@@ -809,72 +1274,32 @@ class ShaderNode extends Node {
                     });
                 }
 
-                // Calculate header line count for line number offset
-                const getHeaderLineCount = () => {
-                    if (!window.app || !window.app.graph) return 6; // Default header lines
-                    const graph = window.app.graph;
-                    const inputNames = {};
-                    const connectedPorts = new Set();
-                    
-                    const incomingEdges = graph.getEdgesTo(this);
-                    for (const edge of incomingEdges) {
-                        const toPort = edge.toPort;
-                        connectedPorts.add(toPort);
-                        const sourceNode = edge.from;
-                        if (sourceNode.type === 'texture-buffer') {
-                            inputNames[toPort] = sourceNode.name;
-                        } else {
-                            inputNames[toPort] = `input${toPort}`;
-                        }
-                    }
-                    
-                    const sortedPorts = Array.from(connectedPorts).sort((a, b) => a - b);
-                    const inputDeclCount = sortedPorts.length;
-                    
-                    // Header lines: #version, precision, uniform t, uniform seed, input declarations, in vec2, out vec4
-                    return 6 + inputDeclCount;
-                };
-                
-                const headerLineCount = getHeaderLineCount();
-                
                 this.monacoEditor = monaco.editor.create(editorContainer, {
-                    value: 'float r(float n){return fract(sin(dot(v_texCoord+n,vec2(12.9898,78.233)))*43758.5453);}vec4 compute() {return vec4(r(0.0),r(0.1),r(0.2),1);}',
+                    value: this.code || 'float r(float n){return fract(sin(dot(v_texCoord+n,vec2(12.9898,78.233)))*43758.5453);}vec4 compute() {return vec4(r(0.0),r(0.1),r(0.2),1);}',
                     language: 'glsl',
                     theme: 'vs-dark',
                     fontSize: 12,
                     minimap: { enabled: false },
                     scrollBeyondLastLine: false,
-                    automaticLayout: true,
-                    lineNumbers: (lineNumber) => {
-                        // Offset line numbers to account for header (add 1 for compiler error messages)
-                        return (lineNumber + headerLineCount + 1).toString();
-                    }
+                    automaticLayout: true
                 });
 
                 this.code = this.monacoEditor.getValue();
+                this.updateUniformParameters();
 
                 this.monacoEditor.onDidChangeModelContent(() => {
                     this.code = this.monacoEditor.getValue();
                     // Clear previous error when code changes
                     this.clearError();
+                    this.updateUniformParameters();
                     // updateHeader will be called with graph when connections change
                     // Save state after code change (debounced)
-                    if (window.app) {
-                        if (this.saveCodeTimeout) {
-                            clearTimeout(this.saveCodeTimeout);
-                        }
-                        this.saveCodeTimeout = setTimeout(() => {
-                            window.app.saveState();
-                            this.saveCodeTimeout = null;
-                        }, 1000); // Save 1 second after typing stops
-                    }
+                    this.scheduleSave();
                 });
 
                 // Update header after Monaco is initialized
-                if (window.app && window.app.graph) {
-                    this.updateHeader(window.app.graph);
-                    // Update line number offset when header changes
-                    this.updateLineNumberOffset();
+                if (this.getGraph()) {
+                    this.updateHeader(this.getGraph());
                 }
             } catch (error) {
                 console.error('Error creating Monaco editor:', error);
@@ -903,101 +1328,330 @@ class ShaderNode extends Node {
         }
     }
 
-    updateLineNumberOffset() {
-        if (!this.monacoEditor) return;
-        
-        const graph = window.app ? window.app.graph : null;
-        const inputNames = {};
-        const connectedPorts = new Set();
-        
-        if (graph) {
-            const incomingEdges = graph.getEdgesTo(this);
-            for (const edge of incomingEdges) {
-                const toPort = edge.toPort;
-                connectedPorts.add(toPort);
-                const sourceNode = edge.from;
-                if (sourceNode.type === 'texture-buffer') {
-                    inputNames[toPort] = sourceNode.name;
-                } else {
-                    inputNames[toPort] = `input${toPort}`;
+    // Save 1 second after the last change (typing, dragging sliders)
+    scheduleSave() {
+        if (!window.app) return;
+        if (this.saveCodeTimeout) {
+            clearTimeout(this.saveCodeTimeout);
+        }
+        this.saveCodeTimeout = setTimeout(() => {
+            window.app.saveState();
+            this.saveCodeTimeout = null;
+        }, 1000);
+    }
+
+    // Parse annotated uniform declarations from the user's code, e.g.
+    //   uniform float feed; // @range(0.0, 0.1) @default(0.055) @step(0.001)
+    //   uniform vec3 tint; // @color @default(1.0, 0.5, 0.0)
+    //   uniform int radius; // @range(1, 8) @default(3)
+    parseUniformParameters(code) {
+        const sizes = { float: 1, int: 1, uint: 1, bool: 1, vec2: 2, vec3: 3, vec4: 4 };
+        const params = [];
+        const declarationPattern = /^[ \t]*uniform\s+(float|u?int|bool|vec2|vec3|vec4)\s+([A-Za-z_]\w*)\s*;[ \t]*(?:\/\/(.*))?$/gm;
+        let match;
+        while ((match = declarationPattern.exec(code)) !== null) {
+            const [, type, name, comment = ''] = match;
+            const annotations = {};
+            const annotationPattern = /@(\w+)(?:\(([^)]*)\))?/g;
+            let annotation;
+            while ((annotation = annotationPattern.exec(comment)) !== null) {
+                annotations[annotation[1]] = annotation[2] !== undefined
+                    ? annotation[2].split(',').map(v => v.trim()).filter(v => v !== '')
+                    : [];
+            }
+            
+            const isInteger = type === 'int' || type === 'uint';
+            const range = (annotations.range || []).map(parseFloat);
+            const min = Number.isFinite(range[0]) ? range[0] : 0;
+            const max = Number.isFinite(range[1]) ? range[1] : (isInteger ? 100 : 1);
+            let step = annotations.step && Number.isFinite(parseFloat(annotations.step[0]))
+                ? parseFloat(annotations.step[0])
+                : (max - min) / 100;
+            if (isInteger) {
+                step = Math.max(1, Math.round(step));
+            }
+            
+            let defaultValue;
+            const defaults = annotations.default || [];
+            if (type === 'bool') {
+                defaultValue = defaults[0] === 'true' || parseFloat(defaults[0]) > 0;
+            } else {
+                const numbers = defaults.map(parseFloat).filter(Number.isFinite);
+                const components = [];
+                for (let i = 0; i < sizes[type]; i++) {
+                    // A single default value fills every component
+                    components.push(numbers.length === 0 ? min : numbers[Math.min(i, numbers.length - 1)]);
+                }
+                defaultValue = sizes[type] === 1 ? components[0] : components;
+                if (isInteger) {
+                    defaultValue = Math.round(defaultValue);
                 }
             }
+            
+            params.push({
+                name,
+                type,
+                min,
+                max,
+                step,
+                defaultValue,
+                color: 'color' in annotations && (type === 'vec3' || type === 'vec4')
+            });
         }
-        
-        const sortedPorts = Array.from(connectedPorts).sort((a, b) => a - b);
-        const inputDeclCount = sortedPorts.length;
-        const headerLineCount = 6 + inputDeclCount; // #version, precision, uniform t, uniform seed, input decls, in vec2, out vec4
-        
-        // Update line number renderer (add 1 for compiler error messages)
-        this.monacoEditor.updateOptions({
-            lineNumbers: (lineNumber) => {
-                return (lineNumber + headerLineCount + 1).toString();
-            }
-        });
+        return params;
     }
 
-    updateHeader(graph = null) {
-        const headerTopEl = this.element.querySelector(`#shader-header-top-${this.id}`);
-        const headerBottomEl = this.element.querySelector(`#shader-header-bottom-${this.id}`);
+    isUniformValueValid(param, value) {
+        if (param.type === 'bool') return typeof value === 'boolean';
+        if (param.type === 'float') return typeof value === 'number';
+        if (param.type === 'int' || param.type === 'uint') return Number.isInteger(value);
+        return Array.isArray(value) && value.length === parseInt(param.type.slice(3));
+    }
+
+    // Re-parse parameters after a code change, keeping values of parameters that still exist
+    updateUniformParameters() {
+        const params = this.parseUniformParameters(this.code);
+        const values = {};
+        for (const param of params) {
+            const current = this.uniformValues[param.name];
+            values[param.name] = this.isUniformValueValid(param, current) ? current : param.defaultValue;
+        }
+        this.uniformValues = values;
         
-        if (!headerTopEl || !headerBottomEl) return;
+        // Only rebuild the controls when declarations changed, not on every keystroke
+        const signature = JSON.stringify(params);
+        if (signature !== this.uniformParamsSignature) {
+            this.uniformParams = params;
+            this.uniformParamsSignature = signature;
+            this.renderUniformControls();
+        }
+    }
 
-        // Get texture buffer names from connections
-        const inputNames = {};
-        const connectedPorts = new Set();
+    setUniformValue(name, value) {
+        this.uniformValues[name] = value;
+        this.scheduleSave();
+    }
+
+    renderUniformControls() {
+        const container = this.element.querySelector(`#shader-params-${this.id}`);
+        if (!container) return;
+        container.innerHTML = '';
+        container.style.display = this.collapsed || this.uniformParams.length === 0 ? 'none' : 'block';
         
-        if (graph) {
-            const incomingEdges = graph.getEdgesTo(this);
-            for (const edge of incomingEdges) {
-                const toPort = edge.toPort;
-                connectedPorts.add(toPort);
-                
-                const sourceNode = edge.from;
-                if (sourceNode.type === 'texture-buffer') {
-                    inputNames[toPort] = sourceNode.name;
-                } else if (sourceNode.type === 'shader') {
-                    // For shader outputs, use a default name
-                    inputNames[toPort] = `input${toPort}`;
-                } else {
-                    inputNames[toPort] = `input${toPort}`;
+        const formatValue = (v) => (Number.isInteger(v) ? v.toString() : v.toFixed(3));
+        
+        for (const param of this.uniformParams) {
+            const row = document.createElement('div');
+            row.className = 'shader-param';
+            const label = document.createElement('span');
+            label.className = 'shader-param-label';
+            label.textContent = param.name;
+            row.appendChild(label);
+            
+            if (param.type === 'bool') {
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = this.uniformValues[param.name];
+                checkbox.addEventListener('change', () => this.setUniformValue(param.name, checkbox.checked));
+                row.appendChild(checkbox);
+            } else if (param.color) {
+                // Color picker edits RGB; a vec4's alpha keeps its current value
+                const picker = document.createElement('input');
+                picker.type = 'color';
+                const toHex = (c) => Math.round(Math.max(0, Math.min(1, c)) * 255).toString(16).padStart(2, '0');
+                const value = this.uniformValues[param.name];
+                picker.value = `#${toHex(value[0])}${toHex(value[1])}${toHex(value[2])}`;
+                picker.addEventListener('input', () => {
+                    const current = this.uniformValues[param.name].slice();
+                    for (let i = 0; i < 3; i++) {
+                        current[i] = parseInt(picker.value.slice(1 + i * 2, 3 + i * 2), 16) / 255;
+                    }
+                    this.setUniformValue(param.name, current);
+                });
+                row.appendChild(picker);
+            } else if (param.type === 'vec2') {
+                // 2D pad: x to the right, y upwards, both mapped onto the @range
+                const pad = document.createElement('div');
+                pad.className = 'shader-param-pad';
+                const dot = document.createElement('div');
+                dot.className = 'shader-param-pad-dot';
+                pad.appendChild(dot);
+                const readout = document.createElement('span');
+                readout.className = 'shader-param-value';
+                const span = param.max - param.min || 1;
+                const place = () => {
+                    const [x, y] = this.uniformValues[param.name];
+                    dot.style.left = `${((x - param.min) / span) * 100}%`;
+                    dot.style.top = `${(1 - (y - param.min) / span) * 100}%`;
+                    readout.textContent = `${formatValue(x)}, ${formatValue(y)}`;
+                };
+                const setFromPointer = (e) => {
+                    const rect = pad.getBoundingClientRect();
+                    const fx = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+                    const fy = Math.max(0, Math.min(1, 1 - (e.clientY - rect.top) / rect.height));
+                    this.setUniformValue(param.name, [param.min + fx * span, param.min + fy * span]);
+                    place();
+                };
+                pad.addEventListener('pointerdown', (e) => {
+                    pad.setPointerCapture(e.pointerId);
+                    setFromPointer(e);
+                });
+                pad.addEventListener('pointermove', (e) => {
+                    if (pad.hasPointerCapture(e.pointerId)) {
+                        setFromPointer(e);
+                    }
+                });
+                place();
+                row.appendChild(pad);
+                row.appendChild(readout);
+            } else {
+                // One slider per component
+                const isScalar = !param.type.startsWith('vec');
+                const componentCount = isScalar ? 1 : parseInt(param.type.slice(3));
+                const sliders = document.createElement('div');
+                sliders.className = 'shader-param-sliders';
+                for (let i = 0; i < componentCount; i++) {
+                    const value = isScalar ? this.uniformValues[param.name] : this.uniformValues[param.name][i];
+                    const slider = document.createElement('input');
+                    slider.type = 'range';
+                    slider.min = param.min;
+                    slider.max = param.max;
+                    slider.step = param.step;
+                    slider.value = value;
+                    const readout = document.createElement('span');
+                    readout.className = 'shader-param-value';
+                    readout.textContent = formatValue(value);
+                    slider.addEventListener('input', () => {
+                        const v = parseFloat(slider.value);
+                        readout.textContent = formatValue(v);
+                        if (isScalar) {
+                            this.setUniformValue(param.name, v);
+                        } else {
+                            const current = this.uniformValues[param.name].slice();
+                            current[i] = v;
+                            this.setUniformValue(param.name, current);
+                        }
+                    });
+                    const sliderRow = document.createElement('div');
+                    sliderRow.className = 'shader-param-slider';
+                    sliderRow.appendChild(slider);
+                    sliderRow.appendChild(readout);
+                    sliders.appendChild(sliderRow);
                 }
+                row.appendChild(sliders);
             }
+            
+            container.appendChild(row);
+        }
+    }
+
+    // Sampler uniforms for connected input ports, sorted by port for consistent ordering
+    getInputDeclarations(graph) {
+        const inputs = new Map();
+        if (!graph) return [];
+        
+        for (const edge of graph.getEdgesTo(this)) {
+            const name = this.getInputName(edge);
+            const texture = edge.from.getOutputTexture(edge.fromPort);
+            const format = texture ? this.webglManager.getTextureFormat(texture) : 'RGBA8';
+            const kind = this.webglManager.getTextureFormatInfo(format).kind;
+            inputs.set(edge.toPort, { port: edge.toPort, name, samplerType: GLSL_SAMPLER_TYPES[kind] });
         }
+        
+        return Array.from(inputs.values()).sort((a, b) => a.port - b.port);
+    }
+
+    // Uniform name an input is bound to: the source buffer's name (also when a group exposes the
+    // buffer), otherwise `input<port>`. Edges entering a group keep the name the inner code was
+    // written against.
+    getInputName(edge) {
+        if (edge.uniformName) {
+            return edge.uniformName;
+        }
+        let source = edge.from;
+        let port = edge.fromPort;
+        while (source && source.type === 'group') {
+            const output = source.outputs[port];
+            source = output ? source.innerGraph.nodeMap.get(output.nodeId) : null;
+            port = output ? output.port : 0;
+        }
+        return source && source.type === 'texture-buffer' ? source.name : `input${edge.toPort}`;
+    }
 
-        // Generate uniform declarations for all connected ports
-        // Sort ports to ensure consistent ordering
-        const sortedPorts = Array.from(connectedPorts).sort((a, b) => a - b);
-        const inputDeclarations = sortedPorts.length > 0 
-            ? sortedPorts.map(port => {
-                const name = inputNames[port] || `input${port}`;
-                return `uniform sampler2D ${name};`;
-            }).join('\n') + '\n'
-            : '';
+    // First texture buffer connected to an output port - the port's render target
+    getTargetBuffer(graph, port = 0) {
+        if (!graph) return null;
+        const edge = graph.getEdgesFrom(this, port).find(e => e.to.type === 'texture-buffer');
+        return edge ? edge.to : null;
+    }
+
+    // Format kind of the texture buffer an output port renders into ('float' when none is connected)
+    getOutputKind(graph, port = 0) {
+        const target = this.getTargetBuffer(graph, port);
+        return target ? this.webglManager.getTextureFormatInfo(target.format).kind : 'float';
+    }
+
+    // Output port 0 is `fragColor`, written from compute(); other ports are named after the
+    // port and written directly by the shader code
+    getOutputName(port) {
+        return port === 0 ? 'fragColor' : this.outputs[port].name;
+    }
+
+    getHeaderCode(graph = null) {
+        const inputs = this.getInputDeclarations(graph);
         
-        const topCode = `#version 300 es
-precision mediump float;
-uniform float t;
+        // Integer samplers have no default precision in fragment shaders
+        const integerSamplers = new Set(inputs.map(input => input.samplerType).filter(type => type !== 'sampler2D'));
+        const precisionDeclarations = Array.from(integerSamplers).map(type => `precision highp ${type};\n`).join('');
+        const inputDeclarations = inputs.map(input => `uniform ${input.samplerType} ${input.name};\n`).join('');
+        const outputCount = Math.max(1, this.outputs.length);
+        let outputDeclarations = '';
+        for (let port = 0; port < outputCount; port++) {
+            const outputType = GLSL_OUTPUT_TYPES[this.getOutputKind(graph, port)];
+            outputDeclarations += `layout(location = ${port}) out ${outputType} ${this.getOutputName(port)};\n`;
+        }
+        
+        return `#version 300 es
+precision highp float;
+precision highp int;
+${precisionDeclarations}uniform float t;
 uniform float seed;
+uniform int frame;
+uniform float dt;
+uniform vec2 resolution;
+uniform vec2 mouse;
+uniform int mouseButtons;
 ${inputDeclarations}in vec2 v_texCoord;
-out vec4 fragColor;
-`;
+${outputDeclarations}`;
+    }
 
-        const bottomCode = `void main() {
-    fragColor = compute();
+    getFooterCode(graph = null) {
+        const outputType = GLSL_OUTPUT_TYPES[this.getOutputKind(graph, 0)];
+        const result = outputType === 'vec4' ? 'compute()' : `${outputType}(compute())`;
+        return `void main() {
+    fragColor = ${result};
 }`;
+    }
+
+    getHeaderLineCount(graph = null) {
+        return this.getHeaderCode(graph).split('\n').length - 1;
+    }
 
-        headerTopEl.innerHTML = this.highlightGLSL(topCode);
-        headerBottomEl.innerHTML = this.highlightGLSL(bottomCode);
+    updateHeader(graph = null) {
+        const headerTopEl = this.element.querySelector(`#shader-header-top-${this.id}`);
+        const headerBottomEl = this.element.querySelector(`#shader-header-bottom-${this.id}`);
         
-        // Update line number offset when header changes
-        this.updateLineNumberOffset();
+        if (!headerTopEl || !headerBottomEl) return;
+
+        headerTopEl.innerHTML = this.highlightGLSL(this.getHeaderCode(graph));
+        headerBottomEl.innerHTML = this.highlightGLSL(this.getFooterCode(graph));
     }
 
     highlightGLSL(code) {
         // GLSL keywords
         const keywords = new Set([
-            'void', 'float', 'int', 'bool', 'vec2', 'vec3', 'vec4', 'mat2', 'mat3', 'mat4',
-            'sampler2D', 'samplerCube', 'if', 'else', 'for', 'while', 'return', 'break', 'continue',
+            'void', 'float', 'int', 'uint', 'bool', 'vec2', 'vec3', 'vec4', 'ivec4', 'uvec4', 'mat2', 'mat3', 'mat4',
+            'sampler2D', 'isampler2D', 'usampler2D', 'samplerCube', 'if', 'else', 'for', 'while', 'return', 'break', 'continue',
             'discard', 'in', 'out', 'inout', 'uniform', 'attribute', 'varying', 'const', 'precision',
             'lowp', 'mediump', 'highp', 'struct', 'layout'
         ]);
@@ -1128,6 +1782,25 @@ out vec4 fragColor;
     addOutput(name) {
         this.outputs.push({ name, port: this.outputs.length });
         this.updatePorts();
+        if (this.getGraph()) {
+            this.updateHeader(this.getGraph());
+        }
+    }
+
+    // Remove the last output port (port 0 always stays); its connections must be removed first
+    removeOutput() {
+        if (this.outputs.length <= 1) return;
+        const port = this.outputs.length - 1;
+        this.outputs.pop();
+        const texture = this.outputTextures.get(port);
+        if (texture) {
+            this.webglManager.deleteTexture(texture);
+            this.outputTextures.delete(port);
+        }
+        this.updatePorts();
+        if (this.getGraph()) {
+            this.updateHeader(this.getGraph());
+        }
     }
 
     updatePorts() {
@@ -1154,7 +1827,7 @@ out vec4 fragColor;
         });
     }
 
-    evaluate(webglManager, graph) {
+    evaluate(webglManager, graph, iteration = 0) {
         if (!this.code) return;
 
         // Get input textures from connections
@@ -1162,48 +1835,49 @@ out vec4 fragColor;
         const incomingEdges = graph.getEdgesTo(this);
         
         for (const edge of incomingEdges) {
-            const sourceNode = edge.from;
-            let sourceTexture = null;
-            let uniformName = null;
-            
-            if (sourceNode.type === 'texture-buffer') {
-                sourceTexture = sourceNode.getOutputTexture();
-                uniformName = sourceNode.name; // Use texture buffer name
-            } else if (sourceNode.type === 'shader') {
-                sourceTexture = sourceNode.getOutputTexture(edge.fromPort);
-                // For shader outputs, we need to find the uniform name from the header
-                // The uniform name is based on the port number
-                uniformName = `input${edge.toPort}`;
-            }
-            
-            if (sourceTexture && uniformName) {
-                inputTextures[uniformName] = sourceTexture;
+            // Same names as the header's declarations
+            const sourceTexture = edge.from.getOutputTexture(edge.fromPort);
+            if (sourceTexture) {
+                inputTextures[this.getInputName(edge)] = sourceTexture;
             }
         }
 
-        // Get output texture from connections or create default
-        const outgoingEdges = graph.getEdgesFrom(this);
-        let targetTexture = null;
-        let targetSize = { width: 512, height: 512 };
-        
-        // Find the first texture buffer output, or use the first output port's target
-        for (const edge of outgoingEdges) {
-            const targetNode = edge.to;
-            if (targetNode.type === 'texture-buffer') {
-                targetTexture = targetNode.texture;
-                targetSize = { width: targetNode.textureWidth, height: targetNode.textureHeight };
-                break; // Use the first texture buffer we find
+        // One render target per output port: the first texture buffer connected to the port, or an
+        // internal texture when the port only feeds other shaders (port 0 always renders)
+        const targetBuffers = [];
+        const usedBuffers = new Set();
+        for (let port = 0; port < Math.max(1, this.outputs.length); port++) {
+            const buffer = this.getTargetBuffer(graph, port);
+            // A buffer can only be attached once; later ports feeding it are skipped
+            if (buffer && !usedBuffers.has(buffer)) {
+                usedBuffers.add(buffer);
+                targetBuffers.push(buffer);
+            } else {
+                targetBuffers.push(null);
             }
         }
 
-        // If no texture buffer output, create our own output texture
-        if (!targetTexture) {
-            if (!this.outputTexture) {
-                this.outputTexture = webglManager.createTexture(targetSize.width, targetSize.height);
-            }
-            targetTexture = this.outputTexture;
+        const sizingBuffer = targetBuffers.find(buffer => buffer);
+        const targetSize = sizingBuffer
+            ? { width: sizingBuffer.textureWidth, height: sizingBuffer.textureHeight }
+            : { width: 512, height: 512 };
+        const mismatched = targetBuffers.find(buffer => buffer &&
+            (buffer.textureWidth !== targetSize.width || buffer.textureHeight !== targetSize.height));
+        if (mismatched) {
+            this.showError(`Output buffers must share the same size: ${sizingBuffer.name} is ${targetSize.width}×${targetSize.height}, ${mismatched.name} is ${mismatched.textureWidth}×${mismatched.textureHeight}`);
+            return;
+        }
+        if (targetBuffers.length > webglManager.getMaxDrawBuffers()) {
+            this.showError(`Too many outputs: this GPU supports ${webglManager.getMaxDrawBuffers()} render targets per shader`);
+            return;
         }
 
+        const internalTargets = targetBuffers.map((buffer, port) => {
+            if (buffer) return null;
+            if (port > 0 && graph.getEdgesFrom(this, port).length === 0) return null;
+            return this.getInternalOutputTexture(webglManager, port, targetSize);
+        });
+
         try {
             const fullCode = this.getFullShaderCode();
             const vertexSource = `#version 300 es
@@ -1216,31 +1890,52 @@ out vec4 fragColor;
                 }
             `;
 
-            // Recompile if code changed
-            const codeChanged = this.lastCode !== this.code;
+            // Recompile if code or generated header changed (connections, buffer names and formats)
+            const codeChanged = this.lastFullCode !== fullCode;
+            if (codeChanged && this.failedFullCode === fullCode) {
+                return; // Already failed to compile; its diagnostics are still shown
+            }
             if (!this.program || codeChanged) {
                 if (this.program) {
-                    webglManager.gl.deleteProgram(this.program);
+                    webglManager.deleteProgram(this.program);
+                    this.program = null;
                 }
                 try {
                     this.program = webglManager.createProgram(vertexSource, fullCode);
-                    this.lastCode = this.code;
+                    this.lastFullCode = fullCode;
+                    this.failedFullCode = null;
                     this.clearError(); // Clear error on successful compilation
                 } catch (compileError) {
-                    this.showError(compileError.message);
+                    this.failedFullCode = fullCode;
+                    this.showCompileError(compileError.message, graph);
                     throw compileError; // Re-throw to prevent rendering
                 }
             }
 
-            // Get time and seed from app (if available)
+            // Get time, seed, frame delta and mouse input from app (if available)
             const time = window.app && window.app.time !== undefined ? window.app.time : 0;
             const seed = window.app && window.app.seed !== undefined ? window.app.seed : 0;
+            const dt = window.app && window.app.dt !== undefined ? window.app.dt : 0;
+            const mouse = window.app && window.app.mouse ? window.app.mouse : { x: 0, y: 0, buttons: 0 };
             
-            // Render shader output to target texture
-            webglManager.renderToTexture(targetTexture, this.program, inputTextures, {
-                t: time,
-                seed: seed
-            });
+            // Render into the buffers' back textures so inputs (possibly the same buffers) still read
+            // the previous iteration; each buffer swaps once its writers have run
+            const targetTextures = targetBuffers.map((buffer, port) =>
+                buffer ? buffer.getWriteTexture() : internalTargets[port]
+            );
+            // User parameters first so the built-in uniforms always win
+            const uniforms = {};
+            for (const param of this.uniformParams) {
+                uniforms[param.name] = this.uniformValues[param.name];
+            }
+            uniforms.t = time;
+            uniforms.seed = seed;
+            uniforms.frame = iteration;
+            uniforms.dt = dt;
+            uniforms.resolution = [targetSize.width, targetSize.height];
+            uniforms.mouse = [mouse.x, mouse.y];
+            uniforms.mouseButtons = mouse.buttons;
+            webglManager.renderToTexture(targetTextures.length === 1 ? targetTextures[0] : targetTextures, this.program, inputTextures, uniforms);
             
             // Update header with current connections (only if needed)
             // Don't update header during evaluation to avoid unnecessary work
@@ -1253,70 +1948,136 @@ out vec4 fragColor;
     }
 
     getOutputTexture(port = 0) {
-        // If we have a direct connection to a texture buffer, return that texture
-        // Otherwise return our internal output texture
-        if (window.app && window.app.graph) {
-            const outgoingEdges = window.app.graph.getEdgesFrom(this);
-            for (const edge of outgoingEdges) {
-                if (edge.fromPort === port) {
-                    const targetNode = edge.to;
-                    if (targetNode.type === 'texture-buffer') {
-                        return targetNode.texture;
-                    }
-                }
+        // If the port renders into a texture buffer, return that buffer's texture
+        // Otherwise return our internal output texture for the port
+        const targetBuffer = this.getTargetBuffer(this.getGraph(), port);
+        if (targetBuffer) {
+            return targetBuffer.texture;
+        }
+        return this.outputTextures.get(port) || null;
+    }
+
+    getInternalOutputTexture(webglManager, port, size) {
+        let texture = this.outputTextures.get(port);
+        const dims = texture ? webglManager.textureDimensions.get(texture) : null;
+        if (!dims || dims.width !== size.width || dims.height !== size.height) {
+            if (texture) {
+                webglManager.deleteTexture(texture);
             }
+            texture = webglManager.createTexture(size.width, size.height);
+            this.outputTextures.set(port, texture);
         }
-        return this.outputTexture;
+        return texture;
+    }
+
+    // Drop internal render targets; they come back zero-filled on the next evaluation
+    resetOutputs() {
+        this.outputTextures.forEach(texture => this.webglManager.deleteTexture(texture));
+        this.outputTextures.clear();
+    }
+
+    destroy() {
+        if (this.saveCodeTimeout) {
+            clearTimeout(this.saveCodeTimeout);
+        }
+        if (this.program) {
+            this.webglManager.deleteProgram(this.program);
+            this.program = null;
+        }
+        this.resetOutputs();
+        if (this.monacoEditor) {
+            this.monacoEditor.dispose();
+            this.monacoEditor = null;
+        }
+        super.destroy();
     }
 
     getFullShaderCode() {
-        // Get texture buffer names from connections (same logic as updateHeader)
-        const graph = window.app ? window.app.graph : null;
-        const inputNames = {};
-        const connectedPorts = new Set();
-        
-        if (graph) {
-            const incomingEdges = graph.getEdgesTo(this);
-            for (const edge of incomingEdges) {
-                const toPort = edge.toPort;
-                connectedPorts.add(toPort);
-                
-                const sourceNode = edge.from;
-                if (sourceNode.type === 'texture-buffer') {
-                    inputNames[toPort] = sourceNode.name;
-                } else if (sourceNode.type === 'shader') {
-                    // For shader outputs, use a default name
-                    inputNames[toPort] = `input${toPort}`;
-                } else {
-                    inputNames[toPort] = `input${toPort}`;
-                }
+        const graph = this.getGraph();
+        return `${this.getHeaderCode(graph)}\n${this.code}\n${this.getFooterCode(graph)}\n`;
+    }
+
+    // Parse a driver info log into { line, column, severity, message } diagnostics. Lines are
+    // 1-based in the full generated source; column is null when the driver doesn't report one.
+    parseCompileLog(log) {
+        const diagnostics = [];
+        for (const logLine of log.split('\n')) {
+            // ANGLE / most drivers: "ERROR: 0:12: 'foo' : undeclared identifier"
+            let match = logLine.match(/(ERROR|WARNING):\s*\d+:(\d+):\s*(.*)$/);
+            if (match) {
+                diagnostics.push({
+                    line: parseInt(match[2]),
+                    column: null,
+                    severity: match[1] === 'ERROR' ? 'error' : 'warning',
+                    message: match[3].trim()
+                });
+                continue;
+            }
+            // Mesa: "0:12(5): error: `foo' undeclared"
+            match = logLine.match(/\d+:(\d+)\((\d+)\):\s*(error|warning):\s*(.*)$/i);
+            if (match) {
+                diagnostics.push({
+                    line: parseInt(match[1]),
+                    column: parseInt(match[2]),
+                    severity: match[3].toLowerCase(),
+                    message: match[4].trim()
+                });
             }
         }
+        return diagnostics;
+    }
 
-        // Generate uniform declarations for all connected ports
-        // Sort ports to ensure consistent ordering
-        const sortedPorts = Array.from(connectedPorts).sort((a, b) => a - b);
-        const inputDeclarations = sortedPorts.length > 0 
-            ? sortedPorts.map(port => {
-                const name = inputNames[port] || `input${port}`;
-                return `uniform sampler2D ${name};`;
-            }).join('\n') + '\n'
-            : '';
+    // Show compile diagnostics as editor squiggles on the user's lines, with a summary below the
+    // editor. Diagnostics in the generated header/footer are only listed in the summary.
+    showCompileError(log, graph) {
+        const diagnostics = this.parseCompileLog(log);
+        // The header is followed by a blank line, then the user's code
+        const codeStartLine = this.getHeaderLineCount(graph) + 2;
+        const codeLines = this.code.split('\n');
+        const markers = [];
+        const summary = [];
         
-        const headerCode = `#version 300 es
-precision mediump float;
-uniform float t;
-uniform float seed;
-${inputDeclarations}in vec2 v_texCoord;
-out vec4 fragColor;
+        for (const diagnostic of diagnostics) {
+            const line = diagnostic.line - codeStartLine + 1;
+            if (line < 1 || line > codeLines.length) {
+                summary.push(`(generated code) ${diagnostic.message}`);
+                continue;
+            }
+            summary.push(`Line ${line}: ${diagnostic.message}`);
+            
+            // Narrow the squiggle to the reported column, or the quoted token, or the whole line
+            const lineText = codeLines[line - 1];
+            let startColumn = lineText.length - lineText.trimStart().length + 1;
+            let endColumn = lineText.length + 1;
+            const token = diagnostic.message.match(/['`]([^']+)'/);
+            if (diagnostic.column) {
+                startColumn = diagnostic.column;
+                const word = lineText.slice(diagnostic.column - 1).match(/^\w+/);
+                endColumn = startColumn + (word ? word[0].length : 1);
+            } else if (token && lineText.includes(token[1])) {
+                startColumn = lineText.indexOf(token[1]) + 1;
+                endColumn = startColumn + token[1].length;
+            }
+            markers.push({ line, startColumn, endColumn, severity: diagnostic.severity, message: diagnostic.message });
+        }
+        
+        this.setCompileMarkers(markers);
+        this.showError(summary.length > 0 ? summary.join('\n') : log);
+    }
 
-`;
-        const mainCode = `
-void main() {
-    fragColor = compute();
-}
-`;
-        return headerCode + this.code + mainCode;
+    setCompileMarkers(markers) {
+        if (!this.monacoEditor || typeof monaco === 'undefined') return;
+        const model = this.monacoEditor.getModel();
+        if (!model) return;
+        monaco.editor.setModelMarkers(model, 'glsl-compiler', markers.map(marker => ({
+            startLineNumber: marker.line,
+            endLineNumber: marker.line,
+            startColumn: marker.startColumn,
+            endColumn: marker.endColumn,
+            severity: marker.severity === 'error' ? monaco.MarkerSeverity.Error : monaco.MarkerSeverity.Warning,
+            message: marker.message,
+            source: 'GLSL'
+        })));
     }
 
     showError(errorMessage) {
@@ -1333,6 +2094,7 @@ void main() {
             errorEl.textContent = '';
             errorEl.style.display = 'none';
         }
+        this.setCompileMarkers([]);
     }
 }
 
@@ -1492,26 +2254,34 @@ class PaletteNode extends Node {
                 const aInput = colorItem.querySelector('.palette-color-a');
                 
                 rInput.addEventListener('change', () => {
+                    const before = this.getPaletteState();
                     this.colors[index].r = Math.max(0, Math.min(1, parseFloat(rInput.value) || 0));
                     this.updateColorPreview(colorItem, index);
+                    this.recordEdit('Edit color', before);
                     this.saveState();
                 });
                 
                 gInput.addEventListener('change', () => {
+                    const before = this.getPaletteState();
                     this.colors[index].g = Math.max(0, Math.min(1, parseFloat(gInput.value) || 0));
                     this.updateColorPreview(colorItem, index);
+                    this.recordEdit('Edit color', before);
                     this.saveState();
                 });
                 
                 bInput.addEventListener('change', () => {
+                    const before = this.getPaletteState();
                     this.colors[index].b = Math.max(0, Math.min(1, parseFloat(bInput.value) || 0));
                     this.updateColorPreview(colorItem, index);
+                    this.recordEdit('Edit color', before);
                     this.saveState();
                 });
                 
                 aInput.addEventListener('change', () => {
+                    const before = this.getPaletteState();
                     this.colors[index].a = Math.max(0, Math.min(1, parseFloat(aInput.value) || 0));
                     this.updateColorPreview(colorItem, index);
+                    this.recordEdit('Edit color', before);
                     this.saveState();
                 });
                 
@@ -1550,23 +2320,54 @@ class PaletteNode extends Node {
         };
     }
 
+    getSelectedColorNormalized() {
+        if (this.colors.length === 0) return { r: 1.0, g: 1.0, b: 1.0, a: 1.0 };
+        const color = this.colors[this.selectedColorIndex];
+        return { r: color.r, g: color.g, b: color.b, a: color.a };
+    }
+
     addColor() {
+        const before = this.getPaletteState();
         this.colors.push({ r: 0.5, g: 0.5, b: 0.5, a: 1.0 });
         this.selectedColorIndex = this.colors.length - 1;
         this.renderColors();
+        this.recordEdit('Add color', before);
         this.saveState();
     }
 
     deleteColor(index) {
         if (this.colors.length <= 1) return; // Keep at least one color
+        const before = this.getPaletteState();
         this.colors.splice(index, 1);
         if (this.selectedColorIndex >= this.colors.length) {
             this.selectedColorIndex = this.colors.length - 1;
         }
         this.renderColors();
+        this.recordEdit('Delete color', before);
         this.saveState();
     }
 
+    getPaletteState() {
+        return {
+            colors: this.colors.map(color => ({ ...color })),
+            selectedColorIndex: this.selectedColorIndex
+        };
+    }
+
+    setPaletteState(state) {
+        this.colors = state.colors.map(color => ({ ...color }));
+        this.selectedColorIndex = state.selectedColorIndex;
+        this.updateSize();
+        this.renderColors();
+        this.saveState();
+    }
+
+    recordEdit(label, before) {
+        if (window.app) {
+            window.app.recordPaletteEdit(this, label, before);
+        }
+    }
+
     saveState() {
         if (window.app) {
             window.app.saveState();
@@ -1574,3 +2375,164 @@ class PaletteNode extends Node {
     }
 }
 
+// A collapsed subgraph. Its nodes live in `innerGraph`, off the canvas and out of the physics
+// simulation, and run in place when the outer graph reaches the group. Each group port stands for
+// one port of an inner node: { name, nodeId, port }; an input's name is the uniform name the inner
+// shader code reads it by. Outer edges attached to the group are mirrored into the inner graph as
+// `boundary` edges, so inner shaders read from and render into the outer nodes directly.
+class GroupNode extends Node {
+    constructor(id, x, y, physics, name = 'group_0') {
+        super(id, 'group', x, y, physics);
+        this.name = name;
+        this.innerGraph = new Graph();
+        this.inputs = [];
+        this.outputs = [];
+        this.boundarySource = []; // Outer edges the current boundary edges were built from
+        this.setSize(220, 120);
+        this.createElement();
+    }
+
+    createElement() {
+        const div = super.createElement();
+        div.innerHTML = `
+            <div class="node-header">
+                <span class="node-title" contenteditable="true" data-node-title="${this.id}">${this.name}</span>
+                <span class="node-type">Group</span>
+            </div>
+            <div class="node-content group-content">
+                <div class="group-summary"></div>
+                <button class="group-expand-btn">Expand</button>
+            </div>
+        `;
+        
+        div.querySelector('.group-expand-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (window.app) {
+                window.app.expandGroup(this);
+            }
+        });
+        
+        const titleEl = div.querySelector(`[data-node-title="${this.id}"]`);
+        titleEl.addEventListener('blur', () => {
+            this.setName(titleEl.textContent.trim() || this.name);
+        });
+        titleEl.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                titleEl.blur();
+            } else if (e.key === 'Escape') {
+                titleEl.textContent = this.name;
+                titleEl.blur();
+            }
+        });
+        
+        return div;
+    }
+
+    // Group names are only labels, so unlike buffers and shaders they aren't sanitized
+    setName(name) {
+        const previousName = this.name;
+        this.name = name;
+        const titleEl = this.element.querySelector(`[data-node-title="${this.id}"]`);
+        if (titleEl) {
+            titleEl.textContent = name;
+        }
+        if (window.app && previousName !== this.name) {
+            window.app.recordRename(this, previousName);
+            window.app.saveState();
+        }
+    }
+
+    setPorts(inputs, outputs) {
+        this.inputs = inputs.map(port => ({ ...port }));
+        this.outputs = outputs.map(port => ({ ...port }));
+        this.boundarySource = [];
+        this.updatePorts();
+    }
+
+    updatePorts() {
+        this.element.querySelectorAll('.port').forEach(p => p.remove());
+        
+        const addPort = (kind, port, i) => {
+            const el = document.createElement('div');
+            el.className = `port ${kind}`;
+            el.style.top = `${20 + i * 15}%`;
+            el.dataset.port = `${kind}-${i}`;
+            el.title = port.name;
+            this.element.appendChild(el);
+        };
+        this.inputs.forEach((port, i) => addPort('input', port, i));
+        this.outputs.forEach((port, i) => addPort('output', port, i));
+        this.updateSummary();
+    }
+
+    updateSummary() {
+        const count = this.innerGraph.nodes.length;
+        const summary = this.element.querySelector('.group-summary');
+        summary.textContent = `${count} node${count === 1 ? '' : 's'} · ${this.inputs.length} in · ${this.outputs.length} out`;
+    }
+
+    // Move a node into the group; it keeps its particle (for its position) but leaves the simulation
+    addInnerNode(node) {
+        this.physics.removeParticle(node.particle);
+        node.element.remove();
+        this.innerGraph.addNode(node);
+        this.updateSummary();
+    }
+
+    // Take a node out of the group; the caller puts it back on the canvas
+    releaseInnerNode(node) {
+        this.innerGraph.removeNode(node);
+        node.ownerGraph = null;
+        this.physics.restoreParticle(node.particle);
+        this.updateSummary();
+    }
+
+    // Rebuild the boundary edges when the outer edges attached to the group have changed
+    syncBoundaryEdges(outerGraph) {
+        const outerEdges = outerGraph.edges.filter(edge => edge.from === this || edge.to === this);
+        if (outerEdges.length === this.boundarySource.length &&
+            outerEdges.every((edge, i) => edge === this.boundarySource[i])) {
+            return;
+        }
+        this.boundarySource = outerEdges;
+        this.innerGraph.edges = this.innerGraph.edges.filter(edge => !edge.boundary);
+        this.innerGraph.markTopologyChanged();
+        
+        for (const edge of outerEdges) {
+            if (edge.to === this) {
+                const input = this.inputs[edge.toPort];
+                const target = input ? this.innerGraph.nodeMap.get(input.nodeId) : null;
+                if (target) {
+                    const inner = this.innerGraph.addEdge(edge.from, edge.fromPort, target, input.port);
+                    inner.boundary = true;
+                    inner.uniformName = input.name;
+                }
+            }
+            if (edge.from === this) {
+                const output = this.outputs[edge.fromPort];
+                const source = output ? this.innerGraph.nodeMap.get(output.nodeId) : null;
+                if (source) {
+                    const inner = this.innerGraph.addEdge(source, output.port, edge.to, edge.toPort);
+                    inner.boundary = true;
+                }
+            }
+        }
+    }
+
+    evaluate(webglManager, graph, iteration = 0) {
+        this.syncBoundaryEdges(graph);
+        this.innerGraph.evaluate(webglManager, iteration);
+    }
+
+    getOutputTexture(port = 0) {
+        const output = this.outputs[port];
+        const source = output ? this.innerGraph.nodeMap.get(output.nodeId) : null;
+        return source ? source.getOutputTexture(output.port) : null;
+    }
+
+    destroy() {
+        this.innerGraph.nodes.forEach(node => node.destroy());
+        super.destroy();
+    }
+}
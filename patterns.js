@@ -0,0 +1,141 @@
+// Cellular automaton patterns: Golly/LifeWiki RLE and plaintext .cells parsing, rotation and
+// flips, and a built-in library. A pattern is { name, width, height, cells, rule } where cells is
+// a Uint8Array of width × height, rows top first, 1 for live cells.
+const CELL_PATTERN_LIBRARY = [
+    { name: 'Glider', category: 'Spaceships', rle: 'x = 3, y = 3\nbo$2bo$3o!' },
+    { name: 'Lightweight spaceship (LWSS)', category: 'Spaceships', rle: 'x = 5, y = 4\nbo2bo$o4b$o3bo$4o!' },
+    { name: 'Middleweight spaceship (MWSS)', category: 'Spaceships', rle: 'x = 6, y = 5\n3bo2b$bo3bo$o5b$o4bo$5o!' },
+    { name: 'Heavyweight spaceship (HWSS)', category: 'Spaceships', rle: 'x = 7, y = 5\n3b2o2b$bo4bo$o6b$o5bo$6o!' },
+    {
+        name: 'Gosper glider gun',
+        category: 'Guns',
+        rle: 'x = 36, y = 9\n24bo$22bobo$12b2o6b2o12b2o$11bo3bo4b2o12b2o$2o8bo5bo3b2o$2o8bo3bob2o4bobo$10bo5bo7bo$11bo3bo$12b2o!'
+    },
+    { name: 'Blinker', category: 'Oscillators', rle: 'x = 3, y = 1\n3o!' },
+    { name: 'Toad', category: 'Oscillators', rle: 'x = 4, y = 2\nb3o$3o!' },
+    { name: 'Beacon', category: 'Oscillators', rle: 'x = 4, y = 4\n2o2b$o3b$3bo$2b2o!' },
+    {
+        name: 'Pulsar',
+        category: 'Oscillators',
+        rle: 'x = 13, y = 13\n2b3o3b3o2b2$o4bobo4bo$o4bobo4bo$o4bobo4bo$2b3o3b3o2b2$2b3o3b3o2b$o4bobo4bo$o4bobo4bo$o4bobo4bo2$2b3o3b3o!'
+    },
+    { name: 'Pentadecathlon', category: 'Oscillators', rle: 'x = 10, y = 3\n2bo4bo2b$2ob4ob2o$2bo4bo!' },
+    { name: 'Block', category: 'Still lifes', rle: 'x = 2, y = 2\n2o$2o!' },
+    { name: 'Beehive', category: 'Still lifes', rle: 'x = 4, y = 3\nb2ob$o2bo$b2o!' },
+    { name: 'Loaf', category: 'Still lifes', rle: 'x = 4, y = 4\nb2ob$o2bo$bobo$2bo!' },
+    { name: 'Boat', category: 'Still lifes', rle: 'x = 3, y = 3\n2ob$obo$bo!' },
+    { name: 'R-pentomino', category: 'Methuselahs', rle: 'x = 3, y = 3\nb2o$2o$bo!' },
+    { name: 'Acorn', category: 'Methuselahs', rle: 'x = 7, y = 3\nbo5b$3bo3b$2o2b3o!' },
+    { name: 'Diehard', category: 'Methuselahs', rle: 'x = 8, y = 3\n6bob$2o6b$bo3b3o!' }
+];
+
+class CellPatterns {
+    // RLE if the text has an `x = ` header line, plaintext .cells otherwise
+    static parse(text, name = 'Pattern') {
+        return /^\s*x\s*=/m.test(text) ? CellPatterns.parseRLE(text, name) : CellPatterns.parseCells(text, name);
+    }
+
+    // Golly/LifeWiki run-length encoding. Multi-state cells (A, B, … and pA, …) count as live.
+    static parseRLE(text, name = 'Pattern') {
+        const lines = text.split(/\r?\n/);
+        let width = null;
+        let height = null;
+        let rule = null;
+        const body = [];
+        for (const line of lines) {
+            const trimmed = line.trim();
+            if (trimmed.startsWith('#')) {
+                // #N names the pattern
+                if (/^#N\s/.test(trimmed)) name = trimmed.slice(2).trim();
+            } else if (width === null && /^x\s*=/.test(trimmed)) {
+                const header = Object.fromEntries(trimmed.split(',').map(part => part.split('=').map(s => s.trim())));
+                width = Number(header.x);
+                height = Number(header.y);
+                rule = header.rule || null;
+            } else {
+                body.push(trimmed);
+            }
+        }
+        if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1) {
+            throw new Error('RLE header must give the pattern size as "x = <width>, y = <height>"');
+        }
+
+        const cells = new Uint8Array(width * height);
+        let x = 0;
+        let y = 0;
+        const data = body.join('');
+        const token = /(\d*)([p-y][A-X]|[a-zA-Z.$!])/g;
+        let match;
+        while ((match = token.exec(data)) !== null) {
+            const count = match[1] ? Number(match[1]) : 1;
+            const tag = match[2];
+            if (tag === '!') break;
+            if (tag === '$') {
+                y += count;
+                x = 0;
+            } else {
+                if (tag !== 'b' && tag !== '.') {
+                    for (let i = 0; i < count; i++) {
+                        if (x + i < width && y < height) cells[y * width + x + i] = 1;
+                    }
+                }
+                x += count;
+            }
+        }
+        return { name, width, height, cells, rule };
+    }
+
+    // Plaintext: `!` comment lines (`!Name: …` names the pattern), `.` dead and `O` or `*` live
+    static parseCells(text, name = 'Pattern') {
+        const rows = [];
+        for (const line of text.split(/\r?\n/)) {
+            if (line.startsWith('!')) {
+                const nameMatch = /^!Name:\s*(.+)$/.exec(line);
+                if (nameMatch) name = nameMatch[1].trim();
+            } else {
+                rows.push(line.trimEnd());
+            }
+        }
+        while (rows.length > 0 && rows[rows.length - 1] === '') rows.pop();
+        const width = Math.max(0, ...rows.map(row => row.length));
+        const height = rows.length;
+        if (width === 0 || height === 0) {
+            throw new Error('The pattern has no cells');
+        }
+        const cells = new Uint8Array(width * height);
+        rows.forEach((row, y) => {
+            for (let x = 0; x < row.length; x++) {
+                if (row[x] === 'O' || row[x] === '*') cells[y * width + x] = 1;
+                else if (row[x] !== '.') throw new Error(`Unexpected "${row[x]}" in .cells pattern`);
+            }
+        });
+        return { name, width, height, cells, rule: null };
+    }
+
+    // Rotate clockwise by `rotation` quarter turns, then flip
+    static transform(pattern, { rotation = 0, flipX = false, flipY = false }) {
+        let { width, height, cells } = pattern;
+        for (let turn = 0; turn < ((rotation % 4) + 4) % 4; turn++) {
+            const rotated = new Uint8Array(cells.length);
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    rotated[x * height + (height - 1 - y)] = cells[y * width + x];
+                }
+            }
+            cells = rotated;
+            [width, height] = [height, width];
+        }
+        if (flipX || flipY) {
+            const flipped = new Uint8Array(cells.length);
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    const sx = flipX ? width - 1 - x : x;
+                    const sy = flipY ? height - 1 - y : y;
+                    flipped[y * width + x] = cells[sy * width + sx];
+                }
+            }
+            cells = flipped;
+        }
+        return { ...pattern, width, height, cells };
+    }
+}
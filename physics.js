@@ -34,6 +34,13 @@ class PhysicsEngine {
         }
     }
 
+    // Put back a particle taken out with removeParticle, keeping its position and size
+    restoreParticle(particle) {
+        if (!this.particles.includes(particle)) {
+            this.particles.push(particle);
+        }
+    }
+
     addSpring(p1, p2, restLength = null) {
         if (restLength === null) {
             const dx = p2.x - p1.x;
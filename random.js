@@ -0,0 +1,36 @@
+// Seedable pseudo-random numbers, so a project's runs can be reproduced. SeededRandom is
+// mulberry32: 32 bits of state, fast, and plenty for simulation noise (not for cryptography).
+class SeededRandom {
+    constructor(seed) {
+        this.state = seed >>> 0;
+    }
+
+    nextUint32() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return (t ^ (t >>> 14)) >>> 0;
+    }
+
+    // Float in [0, 1)
+    next() {
+        return this.nextUint32() / 4294967296;
+    }
+
+    // Mix integers into one uint32, e.g. a frame seed from (masterSeed, iteration)
+    static hash(...values) {
+        let h = 0x9E3779B9;
+        for (const value of values) {
+            h = Math.imul(h ^ (value >>> 0), 0x85EBCA6B);
+            h ^= h >>> 13;
+            h = Math.imul(h, 0xC2B2AE35);
+            h ^= h >>> 16;
+        }
+        return h >>> 0;
+    }
+
+    static randomSeed() {
+        return Math.floor(Math.random() * 4294967296) >>> 0;
+    }
+}
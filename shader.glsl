@@ -28,7 +28,7 @@ float conway(float s) {
 }
 
 vec4 compute() {
-    float s = 1.0 / float(textureSize(ping,0).x);
+    float s = 1.0 / resolution.x;
     return vec4(conway(s), 0.0, 0.0, 1.0);
 }
 
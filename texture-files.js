@@ -0,0 +1,339 @@
+// Texture buffer contents as files: PNG, NumPy .npy, JSON and CSV. Contents are
+// { format, width, height, data } as returned by TextureBufferNode.getContents(), with row 0 at
+// the bottom like WebGL; files store rows top first, the way the preview shows them.
+const TEXTURE_FILE_MAX_TEXT_TEXELS = 256 * 256; // JSON/CSV dumps get unwieldy beyond this
+const TEXTURE_CHANNEL_NAMES = ['r', 'g', 'b', 'a'];
+
+// Array types for the .npy dtypes we can read. Values load as stored, except that uint8 data
+// going into a normalized buffer is treated like image samples (`sampleRange` 255 becomes 1).
+const NPY_DTYPES = {
+    '|b1': { ArrayType: Uint8Array, sampleRange: null },
+    '|u1': { ArrayType: Uint8Array, sampleRange: 255 },
+    '|i1': { ArrayType: Int8Array, sampleRange: null },
+    '<u2': { ArrayType: Uint16Array, sampleRange: null },
+    '<i2': { ArrayType: Int16Array, sampleRange: null },
+    '<u4': { ArrayType: Uint32Array, sampleRange: null },
+    '<i4': { ArrayType: Int32Array, sampleRange: null },
+    '<f4': { ArrayType: Float32Array, sampleRange: null },
+    '<f8': { ArrayType: Float64Array, sampleRange: null }
+};
+
+class TextureFiles {
+    // Copy of texel data with the row order reversed
+    static flipRows(data, width, height, channels) {
+        const flipped = new data.constructor(data.length);
+        const rowLength = width * channels;
+        for (let y = 0; y < height; y++) {
+            const source = (height - 1 - y) * rowLength;
+            flipped.set(data.subarray(source, source + rowLength), y * rowLength);
+        }
+        return flipped;
+    }
+
+    // Only normalized 8-bit formats map directly onto PNG samples
+    static canEncodePNG(format) {
+        return !!(TEXTURE_FORMATS[format] && TEXTURE_FORMATS[format].normalized);
+    }
+
+    static canEncodeText(contents) {
+        return contents.width * contents.height <= TEXTURE_FILE_MAX_TEXT_TEXELS;
+    }
+
+    // 8-bit RGBA PNG. Built by hand rather than through a canvas so alpha isn't premultiplied
+    // and colors come out exactly as stored.
+    static async encodePNG(contents) {
+        const { width, height } = contents;
+        const channels = TEXTURE_FORMATS[contents.format].channels;
+        const texels = TextureFiles.flipRows(contents.data, width, height, channels);
+
+        // Each scanline starts with filter type 0 (none)
+        const rowLength = width * 4 + 1;
+        const raw = new Uint8Array(rowLength * height);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const source = (y * width + x) * channels;
+                const target = y * rowLength + 1 + x * 4;
+                for (let c = 0; c < 4; c++) {
+                    raw[target + c] = c < channels ? texels[source + c] : (c === 3 ? 255 : 0);
+                }
+            }
+        }
+
+        const header = new Uint8Array(13);
+        const view = new DataView(header.buffer);
+        view.setUint32(0, width);
+        view.setUint32(4, height);
+        header.set([8, 6, 0, 0, 0], 8); // bit depth 8, RGBA, deflate, adaptive filtering, no interlace
+
+        // CompressionStream's 'deflate' is the zlib format PNG expects
+        const compressed = await TextureStore.compress(raw);
+        const idat = new Uint8Array(await compressed.arrayBuffer());
+
+        return new Blob([
+            new Uint8Array([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+            TextureFiles.pngChunk('IHDR', header),
+            TextureFiles.pngChunk('IDAT', idat),
+            TextureFiles.pngChunk('IEND', new Uint8Array(0))
+        ], { type: 'image/png' });
+    }
+
+    static pngChunk(type, data) {
+        const chunk = new Uint8Array(12 + data.length);
+        const view = new DataView(chunk.buffer);
+        view.setUint32(0, data.length);
+        for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+        chunk.set(data, 8);
+        view.setUint32(8 + data.length, TextureFiles.crc32(chunk.subarray(4, 8 + data.length)));
+        return chunk;
+    }
+
+    static crc32(bytes) {
+        if (!TextureFiles.crcTable) {
+            TextureFiles.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                TextureFiles.crcTable[n] = c >>> 0;
+            }
+        }
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = TextureFiles.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    // 8-bit RGBA contents that look like the preview: values clamped to 0-1, missing color
+    // channels 0 and missing alpha opaque
+    static toRGBA8(contents) {
+        const info = TEXTURE_FORMATS[contents.format];
+        if (info.normalized && info.channels === 4) {
+            return contents;
+        }
+        const texelCount = contents.width * contents.height;
+        const data = new Uint8Array(texelCount * 4);
+        for (let i = 0; i < texelCount; i++) {
+            for (let c = 0; c < 4; c++) {
+                if (c >= info.channels) {
+                    data[i * 4 + c] = c === 3 ? 255 : 0;
+                } else {
+                    const value = contents.data[i * info.channels + c];
+                    data[i * 4 + c] = info.normalized ? value : Math.round(Math.max(0, Math.min(1, value)) * 255);
+                }
+            }
+        }
+        return { format: 'RGBA8', width: contents.width, height: contents.height, data };
+    }
+
+    // NumPy dtype for the typed array a format reads back into (half floats are read as 32-bit)
+    static npyDtype(format) {
+        switch (TEXTURE_FORMATS[format].type) {
+            case 'FLOAT': return '<f4';
+            case 'UNSIGNED_INT': return '<u4';
+            case 'INT': return '<i4';
+            default: return '|u1';
+        }
+    }
+
+    // .npy version 1.0 with shape (height, width, channels), loadable with numpy.load
+    static encodeNPY(contents) {
+        const { width, height } = contents;
+        const channels = TEXTURE_FORMATS[contents.format].channels;
+        const texels = TextureFiles.flipRows(contents.data, width, height, channels);
+
+        let header = `{'descr': '${TextureFiles.npyDtype(contents.format)}', 'fortran_order': False, 'shape': (${height}, ${width}, ${channels}), }`;
+        // Magic (6) + version (2) + header length (2) + header, padded with spaces and ending in
+        // a newline so the data starts on a 64-byte boundary
+        const unpadded = 10 + header.length + 1;
+        header += ' '.repeat((64 - unpadded % 64) % 64) + '\n';
+
+        const prefix = new Uint8Array(10 + header.length);
+        prefix.set([0x93, 0x4E, 0x55, 0x4D, 0x50, 0x59, 1, 0]); // \x93NUMPY v1.0
+        new DataView(prefix.buffer).setUint16(8, header.length, true);
+        for (let i = 0; i < header.length; i++) prefix[10 + i] = header.charCodeAt(i);
+
+        return new Blob([prefix, texels], { type: 'application/octet-stream' });
+    }
+
+    // { format, width, height, channels, data } with data as rows (top first) of texels, each
+    // an array of channel values
+    static encodeJSON(contents) {
+        const { width, height } = contents;
+        const channels = TEXTURE_FORMATS[contents.format].channels;
+        const texels = TextureFiles.flipRows(contents.data, width, height, channels);
+        const rows = [];
+        for (let y = 0; y < height; y++) {
+            const row = [];
+            for (let x = 0; x < width; x++) {
+                const offset = (y * width + x) * channels;
+                row.push(Array.from(texels.subarray(offset, offset + channels)));
+            }
+            rows.push(row);
+        }
+        const json = JSON.stringify({ format: contents.format, width, height, channels, data: rows });
+        return new Blob([json], { type: 'application/json' });
+    }
+
+    // One line per texel: x, y (from the top), then each channel
+    static encodeCSV(contents) {
+        const { width, height } = contents;
+        const channels = TEXTURE_FORMATS[contents.format].channels;
+        const texels = TextureFiles.flipRows(contents.data, width, height, channels);
+        const lines = [['x', 'y', ...TEXTURE_CHANNEL_NAMES.slice(0, channels)].join(',')];
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const offset = (y * width + x) * channels;
+                lines.push([x, y, ...texels.subarray(offset, offset + channels)].join(','));
+            }
+        }
+        return new Blob([lines.join('\n') + '\n'], { type: 'text/csv' });
+    }
+
+    // Decode a dropped or picked file into { width, height, channels, data: Float64Array } with
+    // rows top first. Image samples are 0-1 like colors; .npy values are as stored, with
+    // sampleRange set when they are samples to rescale for normalized buffers.
+    static async decodeFile(file) {
+        if (/\.npy$/i.test(file.name)) {
+            return TextureFiles.decodeNPY(await file.arrayBuffer());
+        }
+        return TextureFiles.decodeImage(file);
+    }
+
+    static async decodeImage(blob) {
+        const bitmap = await createImageBitmap(blob, { premultiplyAlpha: 'none', colorSpaceConversion: 'none' });
+        const canvas = document.createElement('canvas');
+        canvas.width = bitmap.width;
+        canvas.height = bitmap.height;
+        const context = canvas.getContext('2d');
+        context.drawImage(bitmap, 0, 0);
+        bitmap.close();
+        const pixels = context.getImageData(0, 0, canvas.width, canvas.height).data;
+        return {
+            width: canvas.width,
+            height: canvas.height,
+            channels: 4,
+            data: Float64Array.from(pixels, value => value / 255)
+        };
+    }
+
+    // .npy of shape (height, width) or (height, width, channels) with up to 4 channels
+    static decodeNPY(buffer) {
+        const bytes = new Uint8Array(buffer);
+        const magic = [0x93, 0x4E, 0x55, 0x4D, 0x50, 0x59];
+        if (bytes.length < 10 || magic.some((byte, i) => bytes[i] !== byte)) {
+            throw new Error('Not a .npy file');
+        }
+        // Version 1 has a 2-byte header length, versions 2 and 3 a 4-byte one
+        const view = new DataView(buffer);
+        const major = bytes[6];
+        const headerStart = major === 1 ? 10 : 12;
+        const headerLength = major === 1 ? view.getUint16(8, true) : view.getUint32(8, true);
+        const header = new TextDecoder(major === 3 ? 'utf-8' : 'latin1')
+            .decode(bytes.subarray(headerStart, headerStart + headerLength));
+
+        const descr = /'descr':\s*'([^']+)'/.exec(header);
+        const fortranOrder = /'fortran_order':\s*True/.test(header);
+        const shapeMatch = /'shape':\s*\(([^)]*)\)/.exec(header);
+        if (!descr || !shapeMatch) {
+            throw new Error('Unreadable .npy header');
+        }
+        const dtype = NPY_DTYPES[descr[1].replace(/^=/, '<')];
+        if (!dtype) {
+            throw new Error(`Unsupported .npy dtype ${descr[1]}`);
+        }
+        if (fortranOrder) {
+            throw new Error('Fortran-ordered .npy arrays are not supported; save with np.ascontiguousarray');
+        }
+        const shape = shapeMatch[1].split(',').map(part => part.trim()).filter(Boolean).map(Number);
+        if (shape.length === 2) shape.push(1);
+        if (shape.length !== 3 || shape[2] < 1 || shape[2] > 4) {
+            throw new Error(`Expected a (height, width) or (height, width, channels ≤ 4) array, got (${shape.join(', ')})`);
+        }
+
+        const [height, width, channels] = shape;
+        const count = width * height * channels;
+        const dataStart = headerStart + headerLength;
+        const byteLength = count * dtype.ArrayType.BYTES_PER_ELEMENT;
+        if (dataStart + byteLength > buffer.byteLength) {
+            throw new Error('The .npy file is truncated');
+        }
+        // Copy so the typed array starts at an aligned offset
+        const raw = new dtype.ArrayType(buffer.slice(dataStart, dataStart + byteLength));
+        return { width, height, channels, data: Float64Array.from(raw), sampleRange: dtype.sampleRange };
+    }
+
+    // Texel data for a buffer of the given format and size from a decoded source. Options:
+    //   mode: 'stretch' to the buffer, 'fit' inside it keeping the aspect ratio, or 'crop' at 1:1
+    //         centered; texels the source doesn't cover load as 0
+    //   channels: per buffer channel, a source channel index, 'luma', 'zero', 'one' or 'keep'
+    //   threshold: if a number, loaded values become 1 at or above it and 0 below
+    //   base: contents of the same size to take 'keep' channels from
+    static importContents(source, format, width, height, options) {
+        const info = TEXTURE_FORMATS[format];
+        const data = options.base
+            ? options.base.data.slice()
+            : new (TextureFiles.arrayTypeFor(format))(width * height * info.channels);
+
+        let scaleX = width / source.width;
+        let scaleY = height / source.height;
+        if (options.mode === 'fit') {
+            scaleX = scaleY = Math.min(scaleX, scaleY);
+        } else if (options.mode === 'crop') {
+            scaleX = scaleY = 1;
+        }
+        const offsetX = options.mode === 'crop' ? Math.floor((width - source.width) / 2) : (width - source.width * scaleX) / 2;
+        const offsetY = options.mode === 'crop' ? Math.floor((height - source.height) / 2) : (height - source.height * scaleY) / 2;
+
+        const encode = (value) => {
+            if (info.normalized) return Math.round(Math.max(0, Math.min(1, value)) * 255);
+            if (info.kind === 'uint') return Math.max(0, Math.round(value));
+            if (info.kind === 'int') return Math.round(value);
+            return value;
+        };
+        const sourceScale = info.normalized && source.sampleRange ? 1 / source.sampleRange : 1;
+        const sample = (offset, channel) => {
+            let value;
+            if (channel === 'luma') {
+                value = 0.2126 * source.data[offset] + 0.7152 * source.data[offset + 1] + 0.0722 * source.data[offset + 2];
+            } else {
+                value = source.data[offset + channel];
+            }
+            value *= sourceScale;
+            return options.threshold == null ? value : (value >= options.threshold ? 1 : 0);
+        };
+
+        for (let y = 0; y < height; y++) {
+            // Source rows run top first, texture rows bottom first
+            const row = height - 1 - y;
+            const sy = Math.floor((y + 0.5 - offsetY) / scaleY);
+            for (let x = 0; x < width; x++) {
+                const sx = Math.floor((x + 0.5 - offsetX) / scaleX);
+                const inside = sx >= 0 && sx < source.width && sy >= 0 && sy < source.height;
+                const sourceOffset = (sy * source.width + sx) * source.channels;
+                const target = (row * width + x) * info.channels;
+                options.channels.forEach((channel, c) => {
+                    if (channel === 'keep' && options.base) return;
+                    let value = 0;
+                    if (channel === 'one') {
+                        value = 1;
+                    } else if (channel !== 'zero' && channel !== 'keep' && inside) {
+                        value = sample(sourceOffset, channel);
+                    }
+                    data[target + c] = encode(value);
+                });
+            }
+        }
+        return { format, width, height, data };
+    }
+
+    static arrayTypeFor(format) {
+        switch (TEXTURE_FORMATS[format].type) {
+            case 'FLOAT': return Float32Array;
+            case 'UNSIGNED_INT': return Uint32Array;
+            case 'INT': return Int32Array;
+            default: return Uint8Array;
+        }
+    }
+}
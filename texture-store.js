@@ -0,0 +1,97 @@
+// Texture buffer contents persisted in IndexedDB, keyed by node id. Each record is
+// { format, width, height, data } where data is a deflate-compressed Blob of the texel array
+// in allocateTextureData layout. Project files carry the same bytes base64-encoded.
+const TEXTURE_STORE_DATABASE = 'shaderPlaygroundTextures';
+const TEXTURE_STORE_OBJECT_STORE = 'contents';
+
+class TextureStore {
+    constructor() {
+        this.dbPromise = null;
+        // Writes run one at a time so a slow compression can't land after a newer save
+        this.queue = Promise.resolve();
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (!window.indexedDB) {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+                const request = indexedDB.open(TEXTURE_STORE_DATABASE, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(TEXTURE_STORE_OBJECT_STORE);
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async transaction(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(TEXTURE_STORE_OBJECT_STORE, mode);
+            const request = operation(tx.objectStore(TEXTURE_STORE_OBJECT_STORE));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    enqueue(task) {
+        const result = this.queue.then(task);
+        this.queue = result.catch(error => console.error('Texture store error:', error));
+        return result;
+    }
+
+    // Compress and store texel data; `contents` is { format, width, height, data: TypedArray }
+    save(id, contents) {
+        return this.enqueue(async () => {
+            const blob = await TextureStore.compress(contents.data);
+            const record = { format: contents.format, width: contents.width, height: contents.height, data: blob };
+            await this.transaction('readwrite', store => store.put(record, id));
+        });
+    }
+
+    // Stored record for a node, or undefined; waits for pending writes
+    load(id) {
+        return this.enqueue(() => this.transaction('readonly', store => store.get(id)));
+    }
+
+    delete(id) {
+        return this.enqueue(() => this.transaction('readwrite', store => store.delete(id)));
+    }
+
+    clear() {
+        return this.enqueue(() => this.transaction('readwrite', store => store.clear()));
+    }
+
+    static async compress(data) {
+        const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate'));
+        return new Response(stream).blob();
+    }
+
+    // Inflate a compressed Blob into a typed array of the given type
+    static async decompress(blob, ArrayType) {
+        const stream = blob.stream().pipeThrough(new DecompressionStream('deflate'));
+        const buffer = await new Response(stream).arrayBuffer();
+        return new ArrayType(buffer);
+    }
+
+    static blobToBase64(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            // Data URL is "data:<type>;base64,<payload>"
+            reader.onload = () => resolve(reader.result.slice(reader.result.indexOf(',') + 1));
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    static async base64ToBlob(base64) {
+        const response = await fetch(`data:application/octet-stream;base64,${base64}`);
+        return response.blob();
+    }
+}
@@ -1,10 +1,61 @@
+// Texture formats selectable on texture buffers, keyed by their GL internal format name.
+// `kind` picks the GLSL sampler/output types, `requires` names the extension needed to render into it.
+const TEXTURE_FORMATS = {
+    RGBA8:    { internalFormat: 'RGBA8',    format: 'RGBA',         type: 'UNSIGNED_BYTE', channels: 4, kind: 'float', normalized: true },
+    RGBA16F:  { internalFormat: 'RGBA16F',  format: 'RGBA',         type: 'FLOAT',         channels: 4, kind: 'float', requires: 'EXT_color_buffer_float' },
+    R32F:     { internalFormat: 'R32F',     format: 'RED',          type: 'FLOAT',         channels: 1, kind: 'float', requires: 'EXT_color_buffer_float' },
+    RG32F:    { internalFormat: 'RG32F',    format: 'RG',           type: 'FLOAT',         channels: 2, kind: 'float', requires: 'EXT_color_buffer_float' },
+    RGBA32F:  { internalFormat: 'RGBA32F',  format: 'RGBA',         type: 'FLOAT',         channels: 4, kind: 'float', requires: 'EXT_color_buffer_float' },
+    R32UI:    { internalFormat: 'R32UI',    format: 'RED_INTEGER',  type: 'UNSIGNED_INT',  channels: 1, kind: 'uint' },
+    R32I:     { internalFormat: 'R32I',     format: 'RED_INTEGER',  type: 'INT',           channels: 1, kind: 'int' },
+    RGBA32UI: { internalFormat: 'RGBA32UI', format: 'RGBA_INTEGER', type: 'UNSIGNED_INT',  channels: 4, kind: 'uint' }
+};
+
+// GLSL types used to sample from / write to a texture of each format kind
+const GLSL_SAMPLER_TYPES = { float: 'sampler2D', uint: 'usampler2D', int: 'isampler2D' };
+const GLSL_OUTPUT_TYPES = { float: 'vec4', uint: 'uvec4', int: 'ivec4' };
+
+// How to upload each active uniform type, keyed by GL enum name. `components` is the number of
+// values per element; arrays take `size` elements.
+const UNIFORM_SETTERS = {
+    FLOAT:             { method: 'uniform1fv', arrayType: Float32Array, components: 1 },
+    FLOAT_VEC2:        { method: 'uniform2fv', arrayType: Float32Array, components: 2 },
+    FLOAT_VEC3:        { method: 'uniform3fv', arrayType: Float32Array, components: 3 },
+    FLOAT_VEC4:        { method: 'uniform4fv', arrayType: Float32Array, components: 4 },
+    INT:               { method: 'uniform1iv', arrayType: Int32Array, components: 1 },
+    INT_VEC2:          { method: 'uniform2iv', arrayType: Int32Array, components: 2 },
+    INT_VEC3:          { method: 'uniform3iv', arrayType: Int32Array, components: 3 },
+    INT_VEC4:          { method: 'uniform4iv', arrayType: Int32Array, components: 4 },
+    BOOL:              { method: 'uniform1iv', arrayType: Int32Array, components: 1 },
+    BOOL_VEC2:         { method: 'uniform2iv', arrayType: Int32Array, components: 2 },
+    BOOL_VEC3:         { method: 'uniform3iv', arrayType: Int32Array, components: 3 },
+    BOOL_VEC4:         { method: 'uniform4iv', arrayType: Int32Array, components: 4 },
+    UNSIGNED_INT:      { method: 'uniform1uiv', arrayType: Uint32Array, components: 1 },
+    UNSIGNED_INT_VEC2: { method: 'uniform2uiv', arrayType: Uint32Array, components: 2 },
+    UNSIGNED_INT_VEC3: { method: 'uniform3uiv', arrayType: Uint32Array, components: 3 },
+    UNSIGNED_INT_VEC4: { method: 'uniform4uiv', arrayType: Uint32Array, components: 4 },
+    FLOAT_MAT2:        { method: 'uniformMatrix2fv', arrayType: Float32Array, components: 4, matrix: true },
+    FLOAT_MAT3:        { method: 'uniformMatrix3fv', arrayType: Float32Array, components: 9, matrix: true },
+    FLOAT_MAT4:        { method: 'uniformMatrix4fv', arrayType: Float32Array, components: 16, matrix: true },
+    FLOAT_MAT2x3:      { method: 'uniformMatrix2x3fv', arrayType: Float32Array, components: 6, matrix: true },
+    FLOAT_MAT2x4:      { method: 'uniformMatrix2x4fv', arrayType: Float32Array, components: 8, matrix: true },
+    FLOAT_MAT3x2:      { method: 'uniformMatrix3x2fv', arrayType: Float32Array, components: 6, matrix: true },
+    FLOAT_MAT3x4:      { method: 'uniformMatrix3x4fv', arrayType: Float32Array, components: 12, matrix: true },
+    FLOAT_MAT4x2:      { method: 'uniformMatrix4x2fv', arrayType: Float32Array, components: 8, matrix: true },
+    FLOAT_MAT4x3:      { method: 'uniformMatrix4x3fv', arrayType: Float32Array, components: 12, matrix: true }
+};
+
 class WebGLManager {
     constructor() {
         this.gl = null;
         this.textures = new Map();
-        this.textureDimensions = new Map(); // Store texture dimensions
+        this.textureDimensions = new Map(); // Store texture dimensions and format
+        this.extensions = {};
+        this.nextTextureId = 0; // Identifies textures in multi-target framebuffer cache keys
         this.framebuffers = new Map();
         this.programs = new Map();
+        this.uniformInfo = new Map(); // program -> Map(name -> { location, type, size })
+        this.uniformSetters = new Map(); // GL uniform type enum -> UNIFORM_SETTERS entry
         this.quadBuffer = null;
         this.quadVAO = null;
     }
@@ -16,6 +67,10 @@ class WebGLManager {
         }
         this.gl = gl;
 
+        // Float render targets and linear filtering of 32-bit floats are optional in WebGL 2
+        this.extensions.EXT_color_buffer_float = gl.getExtension('EXT_color_buffer_float');
+        this.extensions.OES_texture_float_linear = gl.getExtension('OES_texture_float_linear');
+
         // Create quad for rendering
         const quadVertices = new Float32Array([
             -1, -1,  0, 0,
@@ -39,30 +94,169 @@ class WebGLManager {
         gl.bindVertexArray(null);
 
         gl.clearColor(0, 0, 0, 1);
+
+        for (const [typeName, setter] of Object.entries(UNIFORM_SETTERS)) {
+            this.uniformSetters.set(gl[typeName], setter);
+        }
+    }
+
+    getTextureFormatInfo(format) {
+        return TEXTURE_FORMATS[format] || TEXTURE_FORMATS.RGBA8;
+    }
+
+    isTextureFormatSupported(format) {
+        const info = TEXTURE_FORMATS[format];
+        if (!info) return false;
+        return !info.requires || !!this.extensions[info.requires];
+    }
+
+    // Integer textures are never filterable, 32-bit floats only with OES_texture_float_linear
+    isTextureFormatFilterable(format) {
+        const info = this.getTextureFormatInfo(format);
+        if (info.kind !== 'float') return false;
+        if (info.type === 'FLOAT' && info.internalFormat.endsWith('32F')) {
+            return !!this.extensions.OES_texture_float_linear;
+        }
+        return true;
+    }
+
+    // Allocate a typed array matching the upload type of a format (zero-filled)
+    allocateTextureData(format, texelCount) {
+        const info = this.getTextureFormatInfo(format);
+        const length = texelCount * info.channels;
+        switch (info.type) {
+            case 'FLOAT': return new Float32Array(length);
+            case 'UNSIGNED_INT': return new Uint32Array(length);
+            case 'INT': return new Int32Array(length);
+            default: return new Uint8Array(length);
+        }
+    }
+
+    // Convert a normalized RGBA color (0-1) to the channel values stored by a format.
+    // Integer formats treat 1.0 as the integer 1 so automata states stay 0/1.
+    encodeColor(format, color) {
+        const info = this.getTextureFormatInfo(format);
+        const channels = [color.r, color.g, color.b, color.a].slice(0, info.channels);
+        if (info.normalized) {
+            return channels.map(c => Math.round(Math.max(0, Math.min(1, c)) * 255));
+        }
+        if (info.kind !== 'float') {
+            return channels.map(c => Math.round(c));
+        }
+        return channels;
     }
 
-    createTexture(width, height, data = null) {
+    createTexture(width, height, data = null, format = 'RGBA8') {
         const gl = this.gl;
+        const info = this.getTextureFormatInfo(format);
         const texture = gl.createTexture();
         gl.bindTexture(gl.TEXTURE_2D, texture);
         
-        if (data) {
-            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, data);
-        } else {
-            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
-        }
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl[info.internalFormat], width, height, 0, gl[info.format], gl[info.type], data);
         
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        const filter = this.isTextureFormatFilterable(info.internalFormat) ? gl.LINEAR : gl.NEAREST;
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, filter);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, filter);
         gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
         gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
         
-        // Store texture dimensions
-        this.textureDimensions.set(texture, { width, height });
+        // Store texture dimensions and format
+        this.textureDimensions.set(texture, { width, height, format: info.internalFormat, id: this.nextTextureId++ });
         
         return texture;
     }
 
+    getTextureFormat(texture) {
+        const dims = this.textureDimensions.get(texture);
+        return dims ? dims.format : 'RGBA8';
+    }
+
+    // Upload data into a region of a texture (the whole texture by default) using its stored format
+    uploadTextureData(texture, data, x = 0, y = 0, width = null, height = null) {
+        const gl = this.gl;
+        const dims = this.textureDimensions.get(texture) || { width: 512, height: 512, format: 'RGBA8' };
+        const info = this.getTextureFormatInfo(dims.format);
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texSubImage2D(gl.TEXTURE_2D, 0, x, y, width ?? dims.width, height ?? dims.height,
+            gl[info.format], gl[info.type], data);
+    }
+
+    // Read a region of a texture (the whole texture by default) back in the layout
+    // allocateTextureData uses for its format. RGBA reads are the combinations WebGL 2
+    // guarantees, so extra channels are dropped afterwards.
+    readTextureData(texture, x = 0, y = 0, width = null, height = null) {
+        const gl = this.gl;
+        const dims = this.textureDimensions.get(texture);
+        if (!dims) return null;
+        const info = this.getTextureFormatInfo(dims.format);
+        width = width ?? dims.width;
+        height = height ?? dims.height;
+        const texelCount = width * height;
+        
+        const ArrayType = this.allocateTextureData(dims.format, 0).constructor;
+        const readBuffer = new ArrayType(texelCount * 4);
+        const readFormat = info.kind === 'float' ? gl.RGBA : gl.RGBA_INTEGER;
+        
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.getFramebuffer(texture));
+        gl.readPixels(x, y, width, height, readFormat, gl[info.type], readBuffer);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        
+        if (info.channels === 4) {
+            return readBuffer;
+        }
+        const data = this.allocateTextureData(dims.format, texelCount);
+        for (let i = 0; i < texelCount; i++) {
+            for (let c = 0; c < info.channels; c++) {
+                data[i * info.channels + c] = readBuffer[i * 4 + c];
+            }
+        }
+        return data;
+    }
+
+    // New texture with the same size, format and contents
+    copyTexture(texture) {
+        const gl = this.gl;
+        const dims = this.textureDimensions.get(texture);
+        const copy = this.createTexture(dims.width, dims.height, null, dims.format);
+        gl.bindFramebuffer(gl.READ_FRAMEBUFFER, this.getFramebuffer(texture));
+        gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, this.getFramebuffer(copy));
+        gl.blitFramebuffer(0, 0, dims.width, dims.height, 0, 0, dims.width, dims.height, gl.COLOR_BUFFER_BIT, gl.NEAREST);
+        gl.bindFramebuffer(gl.READ_FRAMEBUFFER, null);
+        gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, null);
+        return copy;
+    }
+
+    deleteTexture(texture) {
+        const gl = this.gl;
+        const framebuffer = this.framebuffers.get(texture);
+        if (framebuffer) {
+            gl.deleteFramebuffer(framebuffer);
+            this.framebuffers.delete(texture);
+        }
+        // Drop multi-target framebuffers that attach this texture
+        const dims = this.textureDimensions.get(texture);
+        if (dims) {
+            for (const [key, mrtFramebuffer] of this.framebuffers) {
+                if (typeof key === 'string' && key.split(',').includes(String(dims.id))) {
+                    gl.deleteFramebuffer(mrtFramebuffer);
+                    this.framebuffers.delete(key);
+                }
+            }
+        }
+        this.textureDimensions.delete(texture);
+        gl.deleteTexture(texture);
+    }
+
+    // Cached single-texture framebuffer
+    getFramebuffer(texture) {
+        let framebuffer = this.framebuffers.get(texture);
+        if (!framebuffer) {
+            framebuffer = this.createFramebuffer(texture);
+            this.framebuffers.set(texture, framebuffer);
+        }
+        return framebuffer;
+    }
+
     createFramebuffer(texture) {
         const gl = this.gl;
         const framebuffer = gl.createFramebuffer();
@@ -72,6 +266,31 @@ class WebGLManager {
         return framebuffer;
     }
 
+    // Framebuffer with one color attachment per entry; null entries leave that location unbound.
+    // Draw buffers are framebuffer state, so they're set once here.
+    createMultiTargetFramebuffer(textures) {
+        const gl = this.gl;
+        const framebuffer = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+        const drawBuffers = textures.map((texture, i) => {
+            if (!texture) return gl.NONE;
+            gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0 + i, gl.TEXTURE_2D, texture, 0);
+            return gl.COLOR_ATTACHMENT0 + i;
+        });
+        gl.drawBuffers(drawBuffers);
+        const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        if (status !== gl.FRAMEBUFFER_COMPLETE) {
+            gl.deleteFramebuffer(framebuffer);
+            throw new Error(`Framebuffer incomplete (status 0x${status.toString(16)}): output buffers must share the same size`);
+        }
+        return framebuffer;
+    }
+
+    getMaxDrawBuffers() {
+        return this.gl.getParameter(this.gl.MAX_DRAW_BUFFERS);
+    }
+
     compileShader(source, type) {
         const gl = this.gl;
         const shader = gl.createShader(type);
@@ -109,8 +328,67 @@ class WebGLManager {
         return program;
     }
 
-    renderToTexture(texture, program, inputTextures = {}, uniforms = {}) {
+    deleteProgram(program) {
+        this.uniformInfo.delete(program);
+        this.gl.deleteProgram(program);
+    }
+
+    // Active uniforms of a program, queried once and cached. Arrays are listed under their
+    // base name (`weights` for `weights[0]`).
+    getUniformInfo(program) {
+        let info = this.uniformInfo.get(program);
+        if (!info) {
+            const gl = this.gl;
+            info = new Map();
+            const count = gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS);
+            for (let i = 0; i < count; i++) {
+                const active = gl.getActiveUniform(program, i);
+                if (!active) continue;
+                const location = gl.getUniformLocation(program, active.name);
+                if (location === null) continue;
+                const name = active.name.endsWith('[0]') ? active.name.slice(0, -3) : active.name;
+                info.set(name, { location, type: active.type, size: active.size });
+            }
+            this.uniformInfo.set(program, info);
+        }
+        return info;
+    }
+
+    // Upload a value according to the uniform's declared type. Accepts numbers, booleans, arrays
+    // (nested arrays are flattened, e.g. a matrix as columns, GLSL's order, or an array of vec2s)
+    // and typed arrays.
+    setUniform(uniform, value) {
+        const gl = this.gl;
+        const setter = this.uniformSetters.get(uniform.type);
+        if (!setter) {
+            // Samplers and anything else integer-valued
+            gl.uniform1i(uniform.location, Number(value) || 0);
+            return;
+        }
+        
+        const flat = (typeof value === 'number' || typeof value === 'boolean')
+            ? [value]
+            : Array.from(value).flat(Infinity);
+        // Pad to whole elements and cap at the declared array size
+        const elementCount = Math.min(uniform.size, Math.max(1, Math.ceil(flat.length / setter.components)));
+        const data = new setter.arrayType(elementCount * setter.components);
+        for (let i = 0; i < data.length && i < flat.length; i++) {
+            data[i] = Number(flat[i]);
+        }
+        
+        if (setter.matrix) {
+            gl[setter.method](uniform.location, false, data);
+        } else {
+            gl[setter.method](uniform.location, data);
+        }
+    }
+
+    // `target` is a texture, or an array of textures (null for unused locations) to render
+    // to several color attachments at once; attachment i receives `layout(location = i)`
+    renderToTexture(target, program, inputTextures = {}, uniforms = {}) {
         const gl = this.gl;
+        const targets = Array.isArray(target) ? target : [target];
+        const texture = targets.find(t => t);
         
         // Get texture dimensions from our stored map
         const dims = this.textureDimensions.get(texture) || { width: 512, height: 512 };
@@ -118,10 +396,16 @@ class WebGLManager {
         const texHeight = dims.height;
 
         // Create framebuffer if needed
-        let framebuffer = this.framebuffers.get(texture);
-        if (!framebuffer) {
-            framebuffer = this.createFramebuffer(texture);
-            this.framebuffers.set(texture, framebuffer);
+        let framebuffer;
+        if (targets.length === 1) {
+            framebuffer = this.getFramebuffer(texture);
+        } else {
+            const key = targets.map(t => t ? this.textureDimensions.get(t).id : '-').join(',');
+            framebuffer = this.framebuffers.get(key);
+            if (!framebuffer) {
+                framebuffer = this.createMultiTargetFramebuffer(targets);
+                this.framebuffers.set(key, framebuffer);
+            }
         }
 
         gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
@@ -130,31 +414,25 @@ class WebGLManager {
         gl.useProgram(program);
         gl.bindVertexArray(this.quadVAO);
 
+        const uniformInfo = this.getUniformInfo(program);
+
         // Bind input textures
         let textureUnit = 0;
         for (const [name, inputTexture] of Object.entries(inputTextures)) {
-            const location = gl.getUniformLocation(program, name);
-            if (location !== null) {
+            const uniform = uniformInfo.get(name);
+            if (uniform) {
                 gl.activeTexture(gl.TEXTURE0 + textureUnit);
                 gl.bindTexture(gl.TEXTURE_2D, inputTexture);
-                gl.uniform1i(location, textureUnit);
+                gl.uniform1i(uniform.location, textureUnit);
                 textureUnit++;
             }
         }
 
-        // Set uniforms
+        // Set uniforms by their declared type (unused/optimized-out uniforms are skipped)
         for (const [name, value] of Object.entries(uniforms)) {
-            const location = gl.getUniformLocation(program, name);
-            if (location !== null) {
-                if (typeof value === 'number') {
-                    gl.uniform1f(location, value);
-                } else if (value.length === 2) {
-                    gl.uniform2f(location, value[0], value[1]);
-                } else if (value.length === 3) {
-                    gl.uniform3f(location, value[0], value[1], value[2]);
-                } else if (value.length === 4) {
-                    gl.uniform4f(location, value[0], value[1], value[2], value[3]);
-                }
+            const uniform = uniformInfo.get(name);
+            if (uniform && value !== undefined && value !== null) {
+                this.setUniform(uniform, value);
             }
         }
 
@@ -350,11 +628,11 @@ class WebGLManager {
         return { width, height };
     }
 
-    renderTextureToOverlay(texture, overlayCanvas, x, y, width, height, texWidth, texHeight) {
-        const gl = this.gl;
-        
-        // Get or create preview shader program
-        let program = this.programs.get('preview');
+    // Integer textures can't be read through sampler2D, so they get their own preview
+    // program that shows values clamped to 0-1 (matching encodeColor's integer mapping)
+    getPreviewProgram(kind = 'float') {
+        const key = kind === 'float' ? 'preview' : `preview-${kind}`;
+        let program = this.programs.get(key);
         if (!program) {
             const vertexSource = `#version 300 es
                 in vec2 a_position;
@@ -365,18 +643,120 @@ class WebGLManager {
                     v_texCoord = a_texCoord;
                 }
             `;
+            const samplerType = GLSL_SAMPLER_TYPES[kind];
             const fragmentSource = `#version 300 es
-                precision mediump float;
+                precision highp float;
+                precision highp ${samplerType};
                 in vec2 v_texCoord;
-                uniform sampler2D u_texture;
+                uniform ${samplerType} u_texture;
                 out vec4 fragColor;
                 void main() {
-                    fragColor = texture(u_texture, v_texCoord);
+                    fragColor = ${kind === 'float' ? 'texture(u_texture, v_texCoord)' : 'clamp(vec4(texture(u_texture, v_texCoord)), 0.0, 1.0)'};
                 }
             `;
             program = this.createProgram(vertexSource, fragmentSource);
-            this.programs.set('preview', program);
+            this.programs.set(key, program);
         }
+        return program;
+    }
+
+    // Program for drawing-tool passes: copies u_source and writes u_color over the covered texels.
+    // Coverage is a brush stroke between two points (u_shape 0), a rectangle of texels (1) or,
+    // for the masked variant, the texels set in u_mask (2). u_symmetry bits 1 and 2 mirror the
+    // shape across the vertical and horizontal center lines; u_channelMask picks the channels written.
+    getPaintProgram(kind = 'float', masked = false) {
+        const key = `paint-${kind}${masked ? '-masked' : ''}`;
+        let program = this.programs.get(key);
+        if (!program) {
+            const vertexSource = `#version 300 es
+                layout(location = 0) in vec2 a_position;
+                void main() {
+                    gl_Position = vec4(a_position, 0.0, 1.0);
+                }
+            `;
+            const samplerType = GLSL_SAMPLER_TYPES[kind];
+            const outputType = GLSL_OUTPUT_TYPES[kind];
+            const fragmentSource = `#version 300 es
+                precision highp float;
+                precision highp ${samplerType};
+                uniform ${samplerType} u_source;
+                ${masked ? 'uniform sampler2D u_mask;' : ''}
+                uniform int u_shape;
+                uniform vec2 u_from;
+                uniform vec2 u_to;
+                uniform float u_radius;
+                uniform bool u_square;
+                uniform int u_symmetry;
+                uniform vec2 u_size;
+                uniform ${outputType} u_color;
+                uniform vec4 u_channelMask;
+                out ${outputType} fragColor;
+
+                // Whether the texel centered at p lies in a round or square brush swept from u_from to u_to
+                bool inStroke(vec2 p) {
+                    vec2 d = u_to - u_from;
+                    if (!u_square) {
+                        float t = dot(d, d) > 0.0 ? clamp(dot(p - u_from, d) / dot(d, d), 0.0, 1.0) : 0.0;
+                        return distance(p, u_from + t * d) <= u_radius;
+                    }
+                    // Square brush: find the range of t where each axis is within the radius
+                    float lo = 0.0;
+                    float hi = 1.0;
+                    for (int axis = 0; axis < 2; axis++) {
+                        float offset = p[axis] - u_from[axis];
+                        if (abs(d[axis]) < 1e-6) {
+                            if (abs(offset) > u_radius) return false;
+                        } else {
+                            float a = (offset - u_radius) / d[axis];
+                            float b = (offset + u_radius) / d[axis];
+                            lo = max(lo, min(a, b));
+                            hi = min(hi, max(a, b));
+                        }
+                    }
+                    return lo <= hi;
+                }
+
+                bool covers(vec2 p) {
+                    if (u_shape == 0) return inStroke(p);
+                    if (u_shape == 1) {
+                        vec2 texel = floor(p);
+                        return all(greaterThanEqual(texel, min(u_from, u_to))) && all(lessThanEqual(texel, max(u_from, u_to)));
+                    }
+                    ${masked ? 'return texelFetch(u_mask, ivec2(p), 0).r > 0.5;' : 'return false;'}
+                }
+
+                void main() {
+                    vec2 p = gl_FragCoord.xy;
+                    bool covered = covers(p);
+                    // Masks come with their mirrored regions already filled in
+                    if (u_shape != 2) {
+                        vec2 mirrored = u_size - p;
+                        covered = covered ||
+                            ((u_symmetry & 1) != 0 && covers(vec2(mirrored.x, p.y))) ||
+                            ((u_symmetry & 2) != 0 && covers(vec2(p.x, mirrored.y))) ||
+                            (u_symmetry == 3 && covers(mirrored));
+                    }
+                    ${outputType} value = texelFetch(u_source, ivec2(p), 0);
+                    if (covered) {
+                        for (int c = 0; c < 4; c++) {
+                            if (u_channelMask[c] > 0.5) value[c] = u_color[c];
+                        }
+                    }
+                    fragColor = value;
+                }
+            `;
+            program = this.createProgram(vertexSource, fragmentSource);
+            this.programs.set(key, program);
+        }
+        return program;
+    }
+
+    renderTextureToOverlay(texture, overlayCanvas, x, y, width, height, texWidth, texHeight) {
+        const gl = this.gl;
+        
+        // Get or create preview shader program for this texture's format kind
+        const kind = this.getTextureFormatInfo(this.getTextureFormat(texture)).kind;
+        const program = this.getPreviewProgram(kind);
         
         // Save current state
         const prevFramebuffer = gl.getParameter(gl.FRAMEBUFFER_BINDING);